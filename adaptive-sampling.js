@@ -0,0 +1,301 @@
+/**
+ * @file Sampling of the curve plot, with adaptive subdivision and detection of discontinuities.
+ * The samplers of the plot modes are generators, which yield their progress every now and then so that the calculation
+ * can be paused and cancelled, and return the result. See {@link FunctionSampler#sample}.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+/**
+ * The samples of the function(s) in the curve plot, stored in typed arrays so that many samples don't create many objects.
+ * Sample i is at x[i] on the x axis (t when there is an input path), has the input inputRe[i] + inputIm[i] * i,
+ * and function j has the value re[j][i] + im[j][i] * i there.
+ * breaks[j][i] is 1 if the curve of function j should not be drawn between the previous sample and sample i, and grid[i]
+ * is 1 if the sample is on the regular grid given by the resolution, or 0 if it was added by subdivision.
+ */
+class SampleBuffer {
+    /**
+     * @param {number} functions - The number of functions.
+     * @param {number} [capacity] - The number of samples there is room for. The buffer grows when it is full.
+     */
+    constructor(functions, capacity = 1024) {
+        this.functions = functions;
+        this.length = 0;
+        this.allocate(Math.max(1, capacity));
+    }
+
+    /**
+     * Make room for a number of samples, keeping the samples in the buffer.
+     * @param {number} capacity
+     */
+    allocate(capacity) {
+        function grow(array, Type) {
+            let grown = new Type(capacity);
+            if (array !== undefined) grown.set(array.subarray(0, Math.min(array.length, capacity)));
+            return grown;
+        }
+
+        let functions = [];
+        for (let j = 0; j < this.functions; j++) functions.push(j);
+
+        this.x = grow(this.x, Float64Array);
+        this.inputRe = grow(this.inputRe, Float64Array);
+        this.inputIm = grow(this.inputIm, Float64Array);
+        this.grid = grow(this.grid, Uint8Array);
+        this.re = functions.map(j => grow(this.re && this.re[j], Float64Array));
+        this.im = functions.map(j => grow(this.im && this.im[j], Float64Array));
+        this.breaks = functions.map(j => grow(this.breaks && this.breaks[j], Uint8Array));
+        this.capacity = capacity;
+    }
+
+    /**
+     * Add an empty sample at the end, without any breaks.
+     * @returns {number} The index of the sample.
+     */
+    add() {
+        if (this.length === this.capacity) this.allocate(this.capacity * 2);
+        let i = this.length++;
+        for (let j = 0; j < this.functions; j++) this.breaks[j][i] = 0;
+        return i;
+    }
+
+    /**
+     * Add a copy of a sample from another buffer at the end.
+     * @param {SampleBuffer} source
+     * @param {number} index - The index of the sample in the source buffer.
+     * @returns {number} The index of the copy.
+     */
+    copy(source, index) {
+        let i = this.add();
+        this.x[i] = source.x[index];
+        this.inputRe[i] = source.inputRe[index];
+        this.inputIm[i] = source.inputIm[index];
+        this.grid[i] = source.grid[index];
+        for (let j = 0; j < this.functions; j++) {
+            this.re[j][i] = source.re[j][index];
+            this.im[j][i] = source.im[j][index];
+            this.breaks[j][i] = source.breaks[j][index];
+        }
+        return i;
+    }
+
+    /**
+     * Add copies of all the samples in another buffer at the end.
+     * @param {SampleBuffer} source - The samples, e.g. a chunk sent by the evaluation worker.
+     */
+    append(source) {
+        for (let i = 0; i < source.length; i++) this.copy(source, i);
+    }
+
+    /**
+     * Copy some of the samples into a new buffer.
+     * @param {number} start - The index of the first sample.
+     * @param {number} end - The index after the last sample.
+     * @returns {SampleBuffer}
+     */
+    slice(start, end) {
+        let slice = new SampleBuffer(this.functions, end - start);
+        for (let i = start; i < end; i++) slice.copy(this, i);
+        return slice;
+    }
+
+    /**
+     * Check if the value of function j in sample i is finite, i.e. neither NaN nor infinite.
+     * @param {number} i
+     * @param {number} j
+     * @returns {boolean}
+     */
+    isFinite(i, j) {
+        return isFinite(this.re[j][i]) && isFinite(this.im[j][i]);
+    }
+
+    /**
+     * The values of the functions in a sample, as Complex numbers.
+     * @param {number} i
+     * @returns {Complex[]}
+     */
+    values(i) {
+        let values = [];
+        for (let j = 0; j < this.functions; j++) values.push(new Complex(this.re[j][i], this.im[j][i]));
+        return values;
+    }
+
+    /**
+     * Find the sample closest to a value on the x axis. The samples must be in order along the x axis.
+     * @param {number} x
+     * @returns {number} The index of the sample, or -1 if the buffer is empty.
+     */
+    closest(x) {
+        if (this.length === 0) return -1;
+
+        let low = 0;
+        let high = this.length - 1;
+        while (high - low > 1) {
+            let middle = Math.floor((low + high) / 2);
+            if (this.x[middle] < x) low = middle;
+            else high = middle;
+        }
+        return (Math.abs(this.x[low] - x) <= Math.abs(this.x[high] - x)) ? low : high;
+    }
+}
+
+
+/**
+ * Sample a function along the x axis.
+ * When sampling adaptively, intervals where any of the curves bend sharply are subdivided,
+ * and the curves are broken where they jump (e.g. at poles and branch cuts) instead of being drawn across.
+ * @param {function} func - The function to sample. Called with a Complex input, the arrays for the real and imaginary
+ * parts of each function and the index to store the results at, like {@link CompiledFunction#evaluateInto}.
+ * @param {number} functions - The number of functions func calculates.
+ * @param {function} path - Gives the input value of the function for a given x.
+ * @param {number} begin - The first value of x.
+ * @param {number} end - The last value of x.
+ * @param {number} step - The distance between each sample on the regular grid.
+ * @param {boolean} [adaptive] - Whether to subdivide intervals and detect discontinuities.
+ * @param {number} [maxDepth] - The largest number of times an interval of the regular grid may be halved.
+ * @yields {Object} The progress as {progress, chunk}, where progress is between 0 and 1 and chunk is a SampleBuffer with
+ * the samples added since the last time.
+ * @returns {SampleBuffer} All the samples.
+ */
+function* sampleCurve(func, functions, path, begin, end, step, adaptive = true, maxDepth = 6) {
+    // The number of samples of the grid between each time the progress is yielded
+    let chunkSize = 256;
+
+    // Smallest cosine of the angle between two halves of an interval for the curve to count as straight (10 degrees).
+    let straightCosine = Math.cos(10 / 180 * Math.PI);
+
+    // At most this many samples are added by subdivision, so that noisy functions stay fast.
+    let subdivisionBudget = 10 * Math.max(1, (end - begin) / step) + 1000;
+
+    let gridSamples = Math.floor((end - begin) / step) + 1;
+    let samples = new SampleBuffer(functions, (adaptive) ? 2 * gridSamples : gridSamples);
+
+    // The samples of the current interval of the grid are calculated here, and copied to samples in order
+    let scratch = new SampleBuffer(functions, 2 ** (maxDepth + 1) + 2);
+
+    function evaluate(x, grid) {
+        let i = scratch.add();
+        let input = path(x);
+        scratch.x[i] = x;
+        scratch.inputRe[i] = input.re;
+        scratch.inputIm[i] = input.im;
+        scratch.grid[i] = (grid) ? 1 : 0;
+        func(input, scratch.re, scratch.im, i);
+        return i;
+    }
+
+    // The change of function j from sample a to sample b in the scratch buffer
+    function change(a, b, j) {
+        return Math.hypot(scratch.re[j][b] - scratch.re[j][a], scratch.im[j][b] - scratch.im[j][a]);
+    }
+
+    // Check if the curve of function j bends sharply in the middle of an interval, or if it is undefined somewhere inside it.
+    function bends(start, middle, end, j) {
+        let startFinite = scratch.isFinite(start, j);
+        let endFinite = scratch.isFinite(end, j);
+
+        if (!startFinite || !endFinite) return startFinite !== endFinite;
+        if (!scratch.isFinite(middle, j)) return true;
+
+        let re = scratch.re[j];
+        let im = scratch.im[j];
+        let first0 = scratch.x[middle] - scratch.x[start];
+        let first1 = re[middle] - re[start];
+        let first2 = im[middle] - im[start];
+        let second0 = scratch.x[end] - scratch.x[middle];
+        let second1 = re[end] - re[middle];
+        let second2 = im[end] - im[middle];
+
+        let dot = first0 * second0 + first1 * second1 + first2 * second2;
+        let length = Math.hypot(first0, first1, first2) * Math.hypot(second0, second1, second2);
+
+        return dot < straightCosine * length;
+    }
+
+    // Check if function j jumps between two samples. A continuous curve changes by about as much in both halves of a
+    // short interval, while at a jump almost all of the change happens in one of the halves.
+    function jumps(start, middle, end, j) {
+        if (!scratch.isFinite(start, j) || !scratch.isFinite(middle, j) || !scratch.isFinite(end, j)) return true;
+
+        let total = change(start, end, j);
+        let largestHalf = Math.max(change(start, middle, j), change(middle, end, j));
+
+        return largestHalf > 0.9 * total;
+    }
+
+    // Add the samples between start and end (and end itself) to the list.
+    function refine(start, end, depth) {
+        let middle = evaluate((scratch.x[start] + scratch.x[end]) * 0.5, false);
+        subdivisionBudget--;
+
+        let bending = false;
+        for (let j = 0; j < functions; j++) {
+            if (bends(start, middle, end, j)) bending = true;
+        }
+
+        if (!bending) {
+            samples.copy(scratch, end);
+            return;
+        }
+
+        if (depth < maxDepth && subdivisionBudget > 0) {
+            refine(start, middle, depth + 1);
+            refine(middle, end, depth + 1);
+            return;
+        }
+
+        // The interval can't be divided further, break the curves that jump in the half where the jump is.
+        for (let j = 0; j < functions; j++) {
+            if (!bends(start, middle, end, j) || !jumps(start, middle, end, j)) continue;
+
+            let startFinite = scratch.isFinite(start, j);
+            let middleFinite = scratch.isFinite(middle, j);
+            let endFinite = scratch.isFinite(end, j);
+
+            let firstChange = change(start, middle, j);
+            let secondChange = change(middle, end, j);
+
+            if (!startFinite || !middleFinite || !endFinite) {
+                // Break next to the undefined samples
+                scratch.breaks[j][middle] = (!startFinite || !middleFinite) ? 1 : 0;
+                scratch.breaks[j][end] = (!middleFinite || !endFinite) ? 1 : 0;
+            } else if (firstChange > secondChange) {
+                scratch.breaks[j][middle] = 1;
+            } else {
+                scratch.breaks[j][end] = 1;
+            }
+        }
+        samples.copy(scratch, middle);
+        samples.copy(scratch, end);
+    }
+
+    let previous = -1;
+
+    // The number of samples that have been yielded
+    let yielded = 0;
+
+    for (let i = 0; i < gridSamples; i++) {
+        let sample = evaluate(i * step + begin, true);
+
+        if (previous === -1 || !adaptive) {
+            samples.copy(scratch, sample);
+        } else {
+            refine(previous, sample, 0);
+        }
+
+        // Only the last sample of the grid is kept in the scratch buffer, as the start of the next interval
+        scratch.length = 0;
+        previous = scratch.copy(scratch, sample);
+
+        if ((i + 1) % chunkSize === 0) {
+            yield {progress: (i + 1) / gridSamples, chunk: samples.slice(yielded, samples.length)};
+            yielded = samples.length;
+        }
+    }
+
+    // The last chunk is yielded even if it is empty, so that there always is at least one chunk
+    yield {progress: 1, chunk: samples.slice(yielded, samples.length)};
+
+    return samples;
+}
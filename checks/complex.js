@@ -0,0 +1,105 @@
+/**
+ * @file Checks the arithmetic and the elementary functions of complex.js against reference values calculated with mpmath
+ * at 50 digits, at large magnitudes, close to zeros and branch points, and for divisions by very large and very small numbers.
+ * Run with: node checks/complex.js
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+const {load, report} = require("./load");
+
+const run = load(["complex.js"]);
+
+// The function, its arguments [re, im] and the reference value [re, im]
+const references = [
+    ["divide", [[1, 2], [3, 4]], [0.44, 0.08]],
+    ["divide", [[1, 1], [1e+308, 1e+308]], [1e-308, 0.0]],
+    ["divide", [[3, 4], [1e-200, 2e-200]], [2.2e+200, -4e+199]],
+    ["divide", [[1e+307, 1e+307], [1e+307, -1e+307]], [0.0, 1.0]],
+    ["divide", [[1e-300, 2e-300], [3e-300, -1e-300]], [0.1, 0.7]],
+    ["divide", [[2, 0], [1e-300, 1e+300]], [0.0, -2e-300]],
+    ["abs", [[3e+200, 4e+200]], [4.9999999999999995e+200, 0.0]],
+    ["abs", [[3e-200, 4e-200]], [5e-200, 0.0]],
+    ["abs", [[1e+308, 1e+308]], [1.4142135623730951e+308, 0.0]],
+    ["sin", [[1e-10, 1e-10]], [1e-10, 1e-10]],
+    ["sin", [[3.141592653589793, 1e-10]], [1.2246467991473532e-16, -1e-10]],
+    ["sin", [[1, 300]], [8.17247725860256e+129, 5.2474873016399456e+129]],
+    ["sin", [[3, -700]], [7.156421786938977e+302, 5.0204106199965336e+303]],
+    ["cos", [[1.5707963267948966, 1e-08]], [6.123233995736766e-17, -1e-08]],
+    ["cos", [[1e-09, -1e-09]], [1.0, 1e-18]],
+    ["cos", [[2, 500]], [-2.920502306308229e+216, -6.381413960030683e+216]],
+    ["tan", [[1, 400]], [0.0, 1.0]],
+    ["tan", [[1e-08, 1e-08]], [1e-08, 1e-08]],
+    ["tan", [[0.5, -30]], [1.4736699469934373e-26, -1.0]],
+    ["tan", [[1.5707963, 0.001]], [0.02679488763416039, 1000.0003326153446]],
+    ["asin", [[1.0000001, 1e-12]], [1.5707963245588288, 0.0004472135919093249]],
+    ["asin", [[-1, -1e-09]], [-1.5707647040182975, -3.162277660431902e-05]],
+    ["asin", [[1e-10, 1e-10]], [1e-10, 1e-10]],
+    ["asin", [[1e+200, 1e+200]], [0.7853981633974483, 461.55673936964905]],
+    ["asin", [[0.5, 2]], [0.22101863562288385, 1.4657153519472905]],
+    ["acos", [[0.999999999999, 1e-15]], [1.4141980966508993e-06, -7.07114514132448e-10]],
+    ["acos", [[-1.0000001, 1e-12]], [3.1415926513537253, -0.0004472135919093249]],
+    ["acos", [[1e-10, 0]], [1.5707963266948965, 0.0]],
+    ["acos", [[-1e+200, 1e+200]], [2.356194490192345, -461.55673936964905]],
+    ["atan", [[1e-09, 1]], [0.7853981636474483, 10.708206508753179]],
+    ["atan", [[-1e-09, -1.0000001]], [-1.565796493704483, -8.405596441717144]],
+    ["atan", [[1e-10, 1e-10]], [1e-10, 1e-10]],
+    ["atan", [[1e+200, 1e+200]], [1.5707963267948966, 0.0]],
+    ["atan", [[0.3, 0.8]], [0.573971200330978, 0.8107982831297268]],
+    ["sinh", [[1e-10, 1e-10]], [1e-10, 1e-10]],
+    ["sinh", [[300, 1]], [5.2474873016399456e+129, 8.17247725860256e+129]],
+    ["sinh", [[-700, 3]], [5.0204106199965336e+303, 7.156421786938977e+302]],
+    ["cosh", [[1e-09, 1.5707963267948966]], [6.123233995736766e-17, 1e-09]],
+    ["cosh", [[-500, 2]], [-2.920502306308229e+216, -6.381413960030683e+216]],
+    ["tanh", [[400, 1]], [1.0, 0.0]],
+    ["tanh", [[1e-09, 1e-09]], [1e-09, 1e-09]],
+    ["tanh", [[0.001, 1.5707963]], [1000.0003326153446, 0.02679488763416039]],
+    ["ln", [[1.0000000001, 1e-10]], [1.000000082740371e-10, 9.999999999e-11]],
+    ["ln", [[1e-300, 1e-300]], [-690.4289543079337, 0.7853981633974483]],
+    ["ln", [[1e+300, -1e+300]], [691.1221014884936, -0.7853981633974483]],
+    ["ln", [[-1, 1e-20]], [5e-41, 3.141592653589793]],
+    ["ln", [[0.6, 0.8]], [2.2204460492503132e-17, 0.9272952180016123]],
+    ["sqrt", [[-1, 1e-20]], [5e-21, 1.0]],
+    ["sqrt", [[-1e+300, 1e-300]], [0.0, 1e+150]],
+    ["sqrt", [[4, 0]], [2.0, 0.0]],
+    ["sqrt", [[1e+308, 1e+308]], [1.09868411346781e+154, 4.5508986056222734e+153]],
+    ["sqrt", [[-4, -1e-10]], [2.5e-11, -2.0]],
+    ["sqrt", [[1e-300, -1e-300]], [1.09868411346781e-150, -4.5508986056222734e-151]],
+];
+
+// The largest relative error of the real and the imaginary part that is accepted
+const tolerance = 1e-12;
+
+/**
+ * Check if a part of a value is close enough to the reference. Parts that are much smaller than the value itself,
+ * e.g. the real part of sqrt(-1 + 1e-20i), are checked too, since that is where unstable formulas lose their digits.
+ * @param {number} part
+ * @param {number} reference
+ * @returns {boolean}
+ */
+function closeTo(part, reference) {
+    return Math.abs(part - reference) <= tolerance * Math.abs(reference);
+}
+
+references.forEach(([name, args, [re, im]]) => {
+    let call = `Complex.${name}(${args.map(([argRe, argIm]) => `new Complex(${argRe}, ${argIm})`).join(", ")})`;
+    let value = run(call);
+    report(closeTo(value.re, re) && closeTo(value.im, im), `${call} is ${value.re} + ${value.im}i, expected ${re} + ${im}i`);
+});
+
+// Divisions by zero: a number other than 0 divided by 0 is infinite, e.g. 1/x at x = 0, and 0 / 0 is undefined
+const divisionsByZero = [
+    [[1, 0], [Infinity, 0]],
+    [[-2, 0], [-Infinity, 0]],
+    [[0, 3], [0, Infinity]],
+    [[1, -1], [Infinity, -Infinity]],
+    [[0, 0], [NaN, NaN]]
+];
+
+divisionsByZero.forEach(([[argRe, argIm], [re, im]]) => {
+    let call = `Complex.divide(new Complex(${argRe}, ${argIm}), new Complex(0, 0))`;
+    let value = run(call);
+    report(Object.is(value.re, re) && Object.is(value.im, im), `${call} is ${value.re} + ${value.im}i, expected ${re} + ${im}i`);
+});
+
+console.log(`Checked ${references.length + divisionsByZero.length} values`);
@@ -0,0 +1,37 @@
+/**
+ * @file Loads the scripts of the calculator into Node, so that the checks in this folder can call them without a browser.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+
+/**
+ * Run some of the scripts of the calculator in a new context, in the order they have in index.html.
+ * @param {string[]} scripts - The file names, e.g. ["complex.js"].
+ * @returns {function(string): *} Evaluates an expression in the context, e.g. "new Complex(1, 2)".
+ */
+function load(scripts) {
+    let context = vm.createContext({console});
+    scripts.forEach(script => {
+        let file = path.join(__dirname, "..", script);
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, {filename: file});
+    });
+    return code => vm.runInContext(code, context);
+}
+
+/**
+ * Print the result of a check and set the exit code if it failed.
+ * @param {boolean} passed
+ * @param {string} description
+ */
+function report(passed, description) {
+    if (passed) return;
+    console.log("FAILED: " + description);
+    process.exitCode = 1;
+}
+
+module.exports = {load, report};
@@ -0,0 +1,81 @@
+/**
+ * @file Checks the special functions of complex.js against reference values calculated with mpmath at 30 digits,
+ * and checks that they give non-finite values at their poles and when the result is too large.
+ * Run with: node checks/special-functions.js
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+const {load, report} = require("./load");
+
+const run = load(["complex.js"]);
+
+// The function, its arguments and the reference value [re, im]. Complex arguments are written as [re, im].
+const references = [
+    ["gamma", [5], [24.0, 0.0]],
+    ["gamma", [0.5], [1.772453850905516, 0.0]],
+    ["gamma", [-0.5], [-3.544907701811032, 0.0]],
+    ["gamma", [[1, 1]], [0.49801566811835607, -0.15494982830181067]],
+    ["gamma", [[-3.5, 2]], [-0.0015618374328767546, 0.000461194272084374]],
+    ["gamma", [170.5], [5.56209241456e+305, 0.0]],
+    ["gamma", [[0.5, 30]], [-8.373647696713259e-21, 1.866537652294492e-21]],
+    ["gamma", [-10.3], [-5.26236323953561e-07, 0.0]],
+    ["zeta", [2], [1.6449340668482264, 0.0]],
+    ["zeta", [[0.5, 10]], [1.5448952202967527, -0.11533646527127338]],
+    ["zeta", [-3], [0.008333333333333333, 0.0]],
+    ["zeta", [[-2.5, 1]], [0.023593610586379647, 0.001407799605838377]],
+    ["zeta", [[2, -5]], [0.850962943624263, -0.09899694613483134]],
+    ["erf", [0.5], [0.5204998778130465, 0.0]],
+    ["erf", [[1, 1]], [1.3161512816979477, 0.19045346923783468]],
+    ["erf", [[3, -2]], [0.9989632788568172, 1.1546724379290603e-05]],
+    ["erf", [-4], [-0.9999999845827421, 0.0]],
+    ["besselj", [0, 1], [0.7651976865579666, 0.0]],
+    ["besselj", [2, [3, 1]], [0.6341603701485535, 0.025338400003269503]],
+    ["besselj", [1, 40], [0.126038318037585, 0.0]],
+    ["besselj", [3, [-2, 0.5]], [-0.11840835185112601, 0.08164044937904835]],
+    ["bessely", [0, 1], [0.08825696421567696, 0.0]],
+    ["bessely", [1, [2, 1]], [-0.016315437820472505, 0.5994068417668535]],
+    ["bessely", [2, 30], [0.12292410306411385, 0.0]],
+    ["lambertw", [1], [0.5671432904097838, 0.0]],
+    ["lambertw", [[-1, 0.5]], [0.005397510982281892, 1.1120025453478022]],
+    ["lambertw", [10000000000.0], [20.028685413304952, 0.0]],
+    ["lambertw", [[0.5, -3]], [0.936399961170279, -0.7381144053505992]],
+];
+
+// The largest relative error that is accepted
+const tolerance = 1e-9;
+
+/**
+ * Write an argument as JavaScript that creates it.
+ * @param {number|number[]} arg - A number, or [re, im].
+ * @returns {string}
+ */
+function argumentText(arg) {
+    return Array.isArray(arg) ? `new Complex(${arg[0]}, ${arg[1]})` : String(arg);
+}
+
+references.forEach(([name, args, [re, im]]) => {
+    let call = `Complex.${name}(${args.map(argumentText).join(", ")})`;
+    let value = run(call);
+    let error = Math.hypot(value.re - re, value.im - im) / Math.hypot(re, im);
+    report(error < tolerance, `${call} is ${value.re} + ${value.im}i, expected ${re} + ${im}i`);
+});
+
+// Calls that should give a value that isn't finite
+const nonFinite = [
+    "Complex.gamma(0)",
+    "Complex.gamma(-1)",
+    "Complex.gamma(-2)",
+    "Complex.gamma(-170)",
+    "Complex.gamma(171.7)",
+    "Complex.gamma(1000)",
+    "Complex.gamma(new Complex(200, 1))",
+    "Complex.zeta(1)"
+];
+
+nonFinite.forEach(call => {
+    let value = run(call);
+    report(!run(`Complex.isFinite(${call})`), `${call} is ${value.re} + ${value.im}i, expected a value that isn't finite`);
+});
+
+console.log(`Checked ${references.length + nonFinite.length} values`);
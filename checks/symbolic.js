@@ -0,0 +1,61 @@
+/**
+ * @file Checks the derivatives of symbolic.js: that the text is simplified as expected, and that it has the same
+ * values as the numerical derivative deriv(f, x).
+ * Run with: node checks/symbolic.js
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+const {load, report} = require("./load");
+
+const run = load(["complex.js", "expression-parser.js", "function-compiler.js", "symbolic.js"]);
+
+run(`
+    var variables = [
+        {name: "pi", type: "constant", value: new Complex(Math.PI)},
+        {name: "e", type: "constant", value: new Complex(Math.E)}
+    ];
+    var evaluateAt = (text, re, im) => new CompiledFunction(text, "x", variables).evaluate(new Complex(re, im))[0];
+`);
+
+// The functions and the expected text of their derivatives
+const derivatives = [
+    ["x^2", "2 * x"],
+    ["ln(x)/x", "(1 - ln(x)) / x^2"],
+    ["e^x", "e^x"],
+    ["e^(2x)", "2 * e^(2 * x)"],
+    ["atan(x/3)", "1 / (3 * (1 + (x / 3)^2))"],
+    ["ln(3x)", "1 / x"],
+    ["x*ln(x)", "ln(x) + 1"],
+    ["x^x", "x^x * (ln(x) + 1)"],
+    ["ln(x^2)", "2 / x"],
+    ["1/x", "-1 / x^2"],
+    ["x/x^2", "-1 / x^2"],
+    ["6x/9", "2 / 3"],
+    ["x^2/3", "2 * x / 3"],
+    ["sin(x)/3", "cos(x) / 3"],
+    ["x^5/x^2", "3 * x^2"],
+    ["-3/(6x)", "1 / (2 * x^2)"],
+    ["x*x*x - 2x*x", "3 * x^2 - 4 * x"],
+    ["2x/(4x^3)", "-1 / x^3"],
+    ["log10(x)", "1 / (x * ln(10))"],
+    ["asin(x/3)", "1 / (3 * (1 - (x / 3)^2)^0.5)"],
+    ["(x+1)/(x-1)", "(x - 1 - (x + 1)) / (x - 1)^2"]
+];
+
+// The points where the derivatives are compared with deriv
+const points = [[0.7, 0.3], [2.1, -1.2], [-1.5, 0.4]];
+
+derivatives.forEach(([text, expected]) => {
+    let derivative = run(`derivativeText(new CompiledFunction(${JSON.stringify(text)}, "x", variables))`);
+    report(derivative === expected, `the derivative of ${text} is ${derivative}, expected ${expected}`);
+
+    points.forEach(([re, im]) => {
+        let symbolic = run(`evaluateAt(${JSON.stringify(derivative)}, ${re}, ${im})`);
+        let numerical = run(`evaluateAt(${JSON.stringify("deriv(" + text + ", x)")}, ${re}, ${im})`);
+        let error = Math.hypot(symbolic.re - numerical.re, symbolic.im - numerical.im) / Math.max(1, Math.hypot(numerical.re, numerical.im));
+        report(error < 1e-6, `${derivative} differs from deriv(${text}, x) at ${re} + ${im}i`);
+    });
+});
+
+console.log(`Checked ${derivatives.length} derivatives`);
@@ -20,9 +20,13 @@ class Complex {
 
     /**
      * Formats a complex number nicely. Rounds the number to the given length.
+     * Numbers with a NaN component are formatted as "undefined", and other numbers with an infinite component as "∞".
      * @param {number} [decimals] - Number of decimals to use.
      */
     print(decimals=null) {
+        if (isNaN(this.re) || isNaN(this.im)) return "undefined";
+        if (!Complex.isFinite(this)) return "∞";
+
         let re;
         let im;
         if (decimals !== null) {
@@ -37,6 +41,16 @@ class Complex {
         return `${re} ${(im >= 0) ? "+" : "-"} ${Math.abs(im)}i`;
     }
 
+    /**
+     * Check if both components of a number are finite, i.e. neither NaN nor infinite.
+     * @param {number|Complex} num
+     * @returns {boolean}
+     */
+    static isFinite(num) {
+        if (num.constructor !== Complex) return isFinite(num);
+        return isFinite(num.re) && isFinite(num.im);
+    }
+
     /**
      * Create a complex number from polar coordinates.
      * @param {number} r - Distance from 0 (absolute value).
@@ -81,6 +95,18 @@ class Complex {
         return out;
     }
 
+    /**
+     * Negate a number.
+     * @param {number|Complex} num
+     * @returns {Complex}
+     */
+    static negate(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+
+        // Subtracting from 0 gives 0 instead of -0, so that e.g. ln(-1) is pi * i and not -pi * i
+        return new Complex(0 - num.re, 0 - num.im);
+    }
+
     /**
      * Multiply two numbers.
      * @param {number|Complex} num1 
@@ -103,7 +129,7 @@ class Complex {
     }
 
     /**
-     * Divide one number with another.
+     * Divide one number with another, using Smith's algorithm so that large and small numbers don't overflow or underflow.
      * @param {number|Complex} num1 
      * @param {number|Complex} num2 
      * @returns {Complex}
@@ -112,7 +138,7 @@ class Complex {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
         if (num2.constructor !== Complex) num2 = new Complex(num2);
 
-        return Complex.multiply(num1, Complex.invert(num2));
+        return Complex.divideInto(new Complex(), num1, num2);
     }
 
     /**
@@ -121,14 +147,129 @@ class Complex {
      * @returns {Complex}
      */
     static invert(num) {
-        if (num.constructor !== Complex) num = new Complex(num);
+        return Complex.divide(1, num);
+    }
+
+    /**
+     * Add two numbers, storing the result in an existing number instead of creating a new one.
+     * The in place operations are used where many values are calculated, so that they don't create many objects.
+     * The result may be one of the arguments.
+     * @param {Complex} out - The number to store the result in.
+     * @param {Complex} num1 
+     * @param {Complex} num2 
+     * @returns {Complex} out
+     */
+    static addInto(out, num1, num2) {
+        out.re = num1.re + num2.re;
+        out.im = num1.im + num2.im;
+        return out;
+    }
 
-        let a = num.re;
-        let b = num.im;
+    /**
+     * Subtract one number from another, storing the result in out. See {@link Complex.addInto}.
+     * @param {Complex} out 
+     * @param {Complex} num1 
+     * @param {Complex} num2 
+     * @returns {Complex} out
+     */
+    static subtractInto(out, num1, num2) {
+        out.re = num1.re - num2.re;
+        out.im = num1.im - num2.im;
+        return out;
+    }
 
-        let absSquared = 1 / (Math.pow(a, 2) + Math.pow(b, 2));
+    /**
+     * Negate a number, storing the result in out. See {@link Complex.addInto}.
+     * @param {Complex} out 
+     * @param {Complex} num 
+     * @returns {Complex} out
+     */
+    static negateInto(out, num) {
+        out.re = 0 - num.re;
+        out.im = 0 - num.im;
+        return out;
+    }
 
-        return new Complex(a * absSquared, -b * absSquared)
+    /**
+     * Multiply two numbers, storing the result in out. See {@link Complex.addInto}.
+     * @param {Complex} out 
+     * @param {Complex} num1 
+     * @param {Complex} num2 
+     * @returns {Complex} out
+     */
+    static multiplyInto(out, num1, num2) {
+        let re = num1.re * num2.re - num1.im * num2.im;
+        let im = num1.im * num2.re + num1.re * num2.im;
+        out.re = re;
+        out.im = im;
+        return out;
+    }
+
+    /**
+     * Divide one number with another, storing the result in out. See {@link Complex.divide} and {@link Complex.addInto}.
+     * @param {Complex} out 
+     * @param {Complex} num1 
+     * @param {Complex} num2 
+     * @returns {Complex} out
+     */
+    static divideInto(out, num1, num2) {
+        let a = num1.re;
+        let b = num1.im;
+        let c = num2.re;
+        let d = num2.im;
+
+        // A number other than 0 divided by 0 is infinite, and 0 / 0 is undefined
+        if (c === 0 && d === 0) {
+            if (a === 0 && b === 0) {
+                out.re = NaN;
+                out.im = NaN;
+            } else {
+                out.re = (a === 0) ? 0 : a * Infinity;
+                out.im = (b === 0) ? 0 : b * Infinity;
+            }
+            return out;
+        }
+
+        // (a + bi) / (c + di), scaled by the larger part of the denominator. The denominator c + d * d / c is
+        // divided as 1 + (d / c)^2 and c separately, since it overflows when c and d are close to the largest numbers.
+        if (Math.abs(c) >= Math.abs(d)) {
+            let ratio = d / c;
+            let scale = 1 + ratio * ratio;
+            out.re = (a + b * ratio) / scale / c;
+            out.im = (b - a * ratio) / scale / c;
+        } else {
+            let ratio = c / d;
+            let scale = ratio * ratio + 1;
+            out.re = (a * ratio + b) / scale / d;
+            out.im = (b * ratio - a) / scale / d;
+        }
+        return out;
+    }
+
+    /**
+     * Raise one number to another, storing the result in out. See {@link Complex.raise} and {@link Complex.addInto}.
+     * @param {Complex} out 
+     * @param {Complex} num1 
+     * @param {Complex} num2 
+     * @returns {Complex} out
+     */
+    static raiseInto(out, num1, num2) {
+        let absB = Math.hypot(num1.re, num1.im);
+        let argB = Math.atan2(num1.im, num1.re);
+        let re2 = num2.re;
+        let im2 = num2.im;
+
+        if (absB === 0 && Math.hypot(re2, im2) !== 0) {
+            out.re = 0;
+            out.im = 0;
+            return out;
+        }
+
+        let r = Math.exp(re2 * Math.log(absB) - im2 * argB);
+        let theta = im2 * Math.log(absB) + re2 * argB;
+        out.re = r * Math.cos(theta);
+        out.im = r * Math.sin(theta);
+        return out;
     }
 
     /**
@@ -139,9 +280,124 @@ class Complex {
     static ln(num1) {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
         let polar = Complex.toPolar(num1);
+
+        // Close to 1, ln|x| = ln(1 + (|x|^2 - 1)) / 2 keeps the digits that ln(|x|) loses. |x|^2 - 1 = re^2 + im^2 - 1
+        // cancels on the unit circle, so the squares are split into exact products of numbers with 26 bits each
+        // (Dekker's method), and the terms are added with a compensated sum.
+        if (polar.r > 0.5 && polar.r < 2) {
+            let split = a => {
+                let t = a * 134217729;
+                let high = t - (t - a);
+                return [high, a - high];
+            };
+            let [xHigh, xLow] = split(num1.re);
+            let [yHigh, yLow] = split(num1.im);
+            let terms = [xHigh * xHigh, yHigh * yHigh, -1, 2 * xHigh * xLow, 2 * yHigh * yLow, xLow * xLow, yLow * yLow];
+
+            let sum = 0;
+            let compensation = 0;
+            terms.forEach(term => {
+                let next = sum + term;
+                compensation += (Math.abs(sum) >= Math.abs(term)) ? (sum - next) + term : (term - next) + sum;
+                sum = next;
+            });
+            return new Complex(0.5 * Math.log1p(sum + compensation), polar.theta);
+        }
         return new Complex(Math.log(polar.r), polar.theta);
     }
 
+    /**
+     * Logarithm with a given base.
+     * @param {number|Complex} num1 
+     * @param {number|Complex} base 
+     * @returns {Complex}
+     */
+    static log(num1, base) {
+        return Complex.divide(Complex.ln(num1), Complex.ln(base));
+    }
+
+    /**
+     * Base 10 logarithm.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static log10(num1) {
+        return Complex.divide(Complex.ln(num1), Math.LN10);
+    }
+
+    /**
+     * Base 2 logarithm.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static log2(num1) {
+        return Complex.divide(Complex.ln(num1), Math.LN2);
+    }
+
+    /**
+     * The exponential function, e^x.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static exp(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+        return Complex.fromPolar(Math.exp(num1.re), num1.im);
+    }
+
+    /**
+     * The principal square root, which has a non-negative real part.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static sqrt(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+
+        // sqrt(x) = 2 * sqrt(x / 4), so that r + |re| below doesn't overflow for very large numbers
+        if (Complex.isFinite(num1) && Math.max(Math.abs(num1.re), Math.abs(num1.im)) > 1e300) {
+            let root = Complex.sqrt(new Complex(num1.re / 4, num1.im / 4));
+            return new Complex(2 * root.re, 2 * root.im);
+        }
+
+        let r = Complex.abs(num1).re;
+        if (r === 0) return new Complex(0);
+
+        // The larger part is sqrt((r + |re|) / 2), and the smaller part is calculated from it instead of from r - |re|,
+        // which cancels close to the real axis. The imaginary part has the same sign as the imaginary part of num1.
+        let larger = Math.sqrt((r + Math.abs(num1.re)) * 0.5);
+        let smaller = Math.abs(num1.im) / (2 * larger);
+        let sign = (num1.im < 0) ? -1 : 1;
+
+        if (num1.re >= 0) return new Complex(larger, sign * smaller);
+        return new Complex(smaller, sign * larger);
+    }
+
+    /**
+     * The natural logarithm on branch k, i.e. the principal logarithm plus 2 * pi * i * k.
+     * @param {number|Complex} num1 
+     * @param {number|Complex} k - The branch, rounded to a whole number. Branch 0 is the principal branch.
+     * @returns {Complex}
+     */
+    static lnBranch(num1, k) {
+        k = Math.round((k.constructor === Complex) ? k.re : k);
+        let ln = Complex.ln(num1);
+        return new Complex(ln.re, ln.im + 2 * Math.PI * k);
+    }
+
+    /**
+     * The nth root of a number. Root k is e^((ln(x) + 2 * pi * i * k) / n), so e.g. root(-8, 3, 1) is the real cube root -2.
+     * @param {number|Complex} num1 
+     * @param {number|Complex} n 
+     * @param {number|Complex} [k] - The root, rounded to a whole number. Root 0 is the principal root.
+     * @returns {Complex}
+     */
+    static root(num1, n, k = 0) {
+        k = Math.round((k.constructor === Complex) ? k.re : k);
+
+        // All roots of 0 are 0, which raise handles
+        if (k === 0 || Complex.abs(num1).re === 0) return Complex.raise(num1, Complex.invert(n));
+        return Complex.exp(Complex.divide(Complex.lnBranch(num1, k), n));
+    }
+
     /**
      * Sine.
      * @param {number|Complex} num1 
@@ -149,11 +405,11 @@ class Complex {
      */
     static sin(num1) {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
-        let e = new Complex(Math.E);
-        let c = Complex;
+        let x = num1.re;
+        let y = num1.im;
 
-        // (e^(-ix) - e^(ix)) * 0.5i
-        return c.multiply(c.subtract(c.raise(e, c.multiply(new c(0, -1), num1)), c.raise(e, c.multiply(new c(0, 1), num1))), new c(0, 0.5));
+        // sin(x + iy) = sin(x)cosh(y) + i cos(x)sinh(y)
+        return new Complex(Math.sin(x) * Math.cosh(y), Math.cos(x) * Math.sinh(y));
     }
 
     /**
@@ -163,11 +419,11 @@ class Complex {
      */
     static cos(num1) {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
-        let e = new Complex(Math.E);
-        let c = Complex;
+        let x = num1.re;
+        let y = num1.im;
 
-        // (e^(ix) + e^(-ix)) * 0.5
-        return c.multiply(c.add(c.raise(e, c.multiply(new c(0, 1), num1)), c.raise(e, c.multiply(new c(0, -1), num1))), 0.5);
+        // cos(x + iy) = cos(x)cosh(y) - i sin(x)sinh(y)
+        return new Complex(Math.cos(x) * Math.cosh(y), 0 - Math.sin(x) * Math.sinh(y));
     }
 
     /**
@@ -177,7 +433,19 @@ class Complex {
      */
     static tan(num1) {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
-        return Complex.divide(Complex.sin(num1), Complex.cos(num1));
+        let x = num1.re;
+        let y = num1.im;
+
+        // Far from the real axis, tan is i or -i plus a term that is about 4 sin(x)cos(x)e^(-2|y|), and the formula
+        // below would divide infinity by infinity
+        if (Math.abs(y) > 20) {
+            return new Complex(4 * Math.sin(x) * Math.cos(x) * Math.exp(-2 * Math.abs(y)), Math.sign(y));
+        }
+
+        // tan(x + iy) = (sin(x)cos(x) + i sinh(y)cosh(y)) / (cos(x)^2 + sinh(y)^2)
+        let sinhY = Math.sinh(y);
+        let denominator = Math.cos(x) * Math.cos(x) + sinhY * sinhY;
+        return new Complex(Math.sin(x) * Math.cos(x) / denominator, sinhY * Math.cosh(y) / denominator);
     }
 
     /**
@@ -188,9 +456,12 @@ class Complex {
     static asin(num1) {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
         let c = Complex;
-        
-        // -i * ln(ix + sqrt(1 - x^2))
-        return c.multiply(new c(0, -1), c.ln(c.add(c.multiply(num1, new c(0, 1)), c.raise(c.subtract(1, c.raise(num1, 2)), 0.5))));
+
+        // Kahan's formulas, which don't cancel close to the real axis:
+        // re = atan2(re(x), re(sqrt(1 - x) * sqrt(1 + x))), im = asinh(im(conj(sqrt(1 - x)) * sqrt(1 + x)))
+        let a = c.sqrt(c.subtract(1, num1));
+        let b = c.sqrt(c.add(1, num1));
+        return new Complex(Math.atan2(num1.re, a.re * b.re - a.im * b.im), Math.asinh(a.re * b.im - a.im * b.re));
     }
 
     /**
@@ -200,8 +471,13 @@ class Complex {
      */
     static acos(num1) {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
+        let c = Complex;
 
-        return Complex.subtract(new Complex(Math.PI / 2), Complex.asin(num1));
+        // Kahan's formulas, which unlike pi/2 - asin(x) don't cancel close to 1:
+        // re = 2 atan2(re(sqrt(1 - x)), re(sqrt(1 + x))), im = asinh(im(conj(sqrt(1 + x)) * sqrt(1 - x)))
+        let a = c.sqrt(c.subtract(1, num1));
+        let b = c.sqrt(c.add(1, num1));
+        return new Complex(2 * Math.atan2(a.re, b.re), Math.asinh(b.re * a.im - b.im * a.re));
     }
 
     /**
@@ -211,11 +487,111 @@ class Complex {
      */
     static atan(num1) {
         if (num1.constructor !== Complex) num1 = new Complex(num1);
+        let x = num1.re;
+        let y = num1.im;
+
+        // re = atan2(2x, 1 - x^2 - y^2) / 2, im = ln(1 + 4y / (x^2 + (1 - y)^2)) / 4, written so that they don't
+        // cancel close to 0 and the branch points i and -i. The imaginary part is odd in y, and is calculated for |y|
+        // so that the argument of log1p isn't close to -1 near -i.
+        let re = 0.5 * Math.atan2(2 * x, (1 - y) * (1 + y) - x * x);
+        let absY = Math.abs(y);
+        let im = Math.sign(y) * 0.25 * Math.log1p(4 * absY / (x * x + (1 - absY) * (1 - absY)));
+
+        // On the branch cuts, the real part is pi/2 above i and -pi/2 below -i
+        if (x === 0 && Math.abs(y) > 1) re = Math.sign(y) * Math.PI / 2;
+        return new Complex(re, im);
+    }
+
+    /**
+     * The angle from the positive real axis to the point (x, y), i.e. the argument of x + iy.
+     * Extended to complex numbers as -i * ln((x + iy) / sqrt(x^2 + y^2)).
+     * @param {number|Complex} y 
+     * @param {number|Complex} x 
+     * @returns {Complex}
+     */
+    static atan2(y, x) {
+        if (y.constructor !== Complex) y = new Complex(y);
+        if (x.constructor !== Complex) x = new Complex(x);
+        let c = Complex;
+
+        if (y.im === 0 && x.im === 0) return new Complex(Math.atan2(y.re, x.re));
+
+        let z = c.add(x, c.multiply(new c(0, 1), y));
+        let r = c.raise(c.add(c.multiply(x, x), c.multiply(y, y)), 0.5);
+        return c.multiply(new c(0, -1), c.ln(c.divide(z, r)));
+    }
+
+    /**
+     * Hyperbolic sine.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static sinh(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+
+        // sinh(x + iy) = sinh(x)cos(y) + i cosh(x)sin(y)
+        return new Complex(Math.sinh(num1.re) * Math.cos(num1.im), Math.cosh(num1.re) * Math.sin(num1.im));
+    }
+
+    /**
+     * Hyperbolic cosine.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static cosh(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+
+        // cosh(x + iy) = cosh(x)cos(y) + i sinh(x)sin(y)
+        return new Complex(Math.cosh(num1.re) * Math.cos(num1.im), Math.sinh(num1.re) * Math.sin(num1.im));
+    }
+
+    /**
+     * Hyperbolic tangent.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static tanh(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+
+        // tanh(x + iy) = -i tan(-y + ix)
+        let tan = Complex.tan(new Complex(0 - num1.im, num1.re));
+        return new Complex(tan.im, 0 - tan.re);
+    }
+
+    /**
+     * Inverse hyperbolic sine.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static asinh(num1) {
+        let c = Complex;
+
+        // ln(x + sqrt(x^2 + 1))
+        return c.ln(c.add(num1, c.sqrt(c.add(c.multiply(num1, num1), 1))));
+    }
+
+    /**
+     * Inverse hyperbolic cosine.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static acosh(num1) {
+        let c = Complex;
+
+        // ln(x + sqrt(x + 1) * sqrt(x - 1))
+        return c.ln(c.add(num1, c.multiply(c.sqrt(c.add(num1, 1)), c.sqrt(c.subtract(num1, 1)))));
+    }
+
+    /**
+     * Inverse hyperbolic tangent.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static atanh(num1) {
         let c = Complex;
-        let iz = c.multiply(new Complex(0, 1), num1);
 
-        // i/2*ln((1-i*z)/(1+i*z))
-        return c.multiply(new c(0, 0.5), c.ln(c.divide(c.subtract(1, iz), c.add(1, iz))));
+        // (ln(1 + x) - ln(1 - x)) / 2
+        return c.multiply(c.subtract(c.ln(c.add(1, num1)), c.ln(c.subtract(1, num1))), 0.5);
     }
 
     /**
@@ -250,7 +626,418 @@ class Complex {
      */
     static abs(num) {
         if (num.constructor !== Complex) return new Complex(Math.abs(num));
-        return new Complex(Math.pow(Math.pow(num.re, 2) + Math.pow(num.im, 2), 0.5));
+
+        // hypot doesn't overflow when the squares of the parts do
+        return new Complex(Math.hypot(num.re, num.im));
+    }
+
+    /**
+     * The complex conjugate, i.e. the number mirrored in the real axis.
+     * @param {number|Complex} num 
+     * @returns {Complex}
+     */
+    static conj(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+        return new Complex(num.re, -num.im);
+    }
+
+    /**
+     * The real part of a number.
+     * @param {number|Complex} num 
+     * @returns {Complex}
+     */
+    static re(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+        return new Complex(num.re);
+    }
+
+    /**
+     * The imaginary part of a number, as a real number.
+     * @param {number|Complex} num 
+     * @returns {Complex}
+     */
+    static im(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+        return new Complex(num.im);
+    }
+
+    /**
+     * The argument of a number, i.e. the angle from the positive real axis, between -pi and pi.
+     * @param {number|Complex} num 
+     * @returns {Complex}
+     */
+    static arg(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+        return new Complex(Math.atan2(num.im, num.re));
+    }
+
+    /**
+     * The number divided by its absolute value, i.e. the point on the unit circle in the same direction. The sign of 0 is 0.
+     * @param {number|Complex} num 
+     * @returns {Complex}
+     */
+    static sign(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+        let abs = Complex.abs(num).re;
+        if (abs === 0) return new Complex(0);
+        return new Complex(num.re / abs, num.im / abs);
+    }
+
+    /**
+     * Round both the real and the imaginary part down.
+     * @param {number|Complex} num 
+     * @returns {Complex}
+     */
+    static floor(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+        return new Complex(Math.floor(num.re), Math.floor(num.im));
+    }
+
+    /**
+     * Round both the real and the imaginary part up.
+     * @param {number|Complex} num 
+     * @returns {Complex}
+     */
+    static ceil(num) {
+        if (num.constructor !== Complex) num = new Complex(num);
+        return new Complex(Math.ceil(num.re), Math.ceil(num.im));
+    }
+
+    /**
+     * The number with the smallest absolute value.
+     * @param {...(number|Complex)} nums 
+     * @returns {Complex}
+     */
+    static min(...nums) {
+        nums = nums.map(num => (num.constructor === Complex) ? num : new Complex(num));
+        return nums.reduce((a, b) => (Complex.abs(b).re < Complex.abs(a).re) ? b : a);
+    }
+
+    /**
+     * The number with the largest absolute value.
+     * @param {...(number|Complex)} nums 
+     * @returns {Complex}
+     */
+    static max(...nums) {
+        nums = nums.map(num => (num.constructor === Complex) ? num : new Complex(num));
+        return nums.reduce((a, b) => (Complex.abs(b).re > Complex.abs(a).re) ? b : a);
+    }
+
+    /**
+     * Linear interpolation between two numbers, a + (b - a) * t.
+     * @param {number|Complex} a - The value when t is 0.
+     * @param {number|Complex} b - The value when t is 1.
+     * @param {number|Complex} t 
+     * @returns {Complex}
+     */
+    static lerp(a, b, t) {
+        return Complex.add(a, Complex.multiply(Complex.subtract(b, a), t));
+    }
+
+    /**
+     * The gamma function, which extends the factorial so that gamma(n) = (n - 1)! for positive whole numbers n.
+     * Calculated with the Lanczos approximation, and the reflection formula when the real part is smaller than 1/2.
+     * The logarithm is calculated first, so that the result becomes Infinity instead of NaN when it is too large, e.g. gamma(200).
+     * @param {number|Complex} num1 
+     * @returns {Complex} Undefined at the poles 0, -1, -2, ...
+     */
+    static gamma(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+        let c = Complex;
+
+        if (num1.im === 0 && num1.re <= 0 && Number.isInteger(num1.re)) return new Complex(NaN, NaN);
+
+        // Lanczos coefficients for g = 7
+        let g = 7;
+        let coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+            12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+
+        // A logarithm of gamma(x), not necessarily on the principal branch
+        let logGamma = x => {
+            if (x.re < 0.5) {
+                // ln(pi / (sin(pi * x) * gamma(1 - x)))
+                return c.subtract(c.subtract(Math.log(Math.PI), c.ln(c.sin(c.multiply(x, Math.PI)))), logGamma(c.subtract(1, x)));
+            }
+
+            let z = c.subtract(x, 1);
+            let sum = new c(coefficients[0]);
+            for (let i = 1; i < coefficients.length; i++) {
+                sum = c.add(sum, c.divide(coefficients[i], c.add(z, i)));
+            }
+
+            // ln(sqrt(2pi) * t^(z + 1/2) * e^(-t) * sum)
+            let t = c.add(z, g + 0.5);
+            return c.add(c.subtract(c.add(0.5 * Math.log(2 * Math.PI), c.multiply(c.add(z, 0.5), c.ln(t))), t), c.ln(sum));
+        };
+
+        let result = c.exp(logGamma(num1));
+        // gamma is real on the real axis, where e.g. Infinity * sin(0) would make the imaginary part NaN
+        if (num1.im === 0) result.im = 0;
+        return result;
+    }
+
+    /**
+     * The Riemann zeta function, the sum of 1/n^s for n = 1, 2, 3, ... continued to the whole complex plane.
+     * Calculated with the Euler-Maclaurin formula, and the reflection formula when the real part is negative.
+     * @param {number|Complex} s 
+     * @returns {Complex} Undefined at the pole s = 1.
+     */
+    static zeta(s) {
+        if (s.constructor !== Complex) s = new Complex(s);
+        let c = Complex;
+
+        if (s.re < 0) {
+            // 2^s * pi^(s - 1) * sin(pi * s / 2) * gamma(1 - s) * zeta(1 - s)
+            let oneMinusS = c.subtract(1, s);
+            let factor = c.multiply(c.raise(2, s), c.raise(Math.PI, c.negate(oneMinusS)));
+            factor = c.multiply(factor, c.sin(c.multiply(s, Math.PI / 2)));
+            return c.multiply(factor, c.multiply(c.gamma(oneMinusS), c.zeta(oneMinusS)));
+        }
+
+        // Bernoulli numbers B2, B4, ..., B20
+        let bernoulli = [1 / 6, -1 / 30, 1 / 42, -1 / 30, 5 / 66, -691 / 2730, 7 / 6, -3617 / 510, 43867 / 798, -174611 / 330];
+
+        // The first N - 1 terms are added directly, more are needed further from the real axis
+        let N = 10 + Math.ceil(Math.abs(s.im));
+        let sum = new c(0);
+        for (let n = 1; n < N; n++) {
+            sum = c.add(sum, c.raise(n, c.negate(s)));
+        }
+
+        // The rest of the sum: N^(1 - s) / (s - 1) + N^(-s) / 2 + the sum of B2k / (2k)! * s(s + 1)...(s + 2k - 2) * N^(1 - s - 2k)
+        let nPower = c.raise(N, c.negate(s));
+        sum = c.add(sum, c.divide(c.multiply(nPower, N), c.subtract(s, 1)));
+        sum = c.add(sum, c.multiply(nPower, 0.5));
+
+        let product = s;
+        let power = c.divide(nPower, N);
+        let factorial = 2;
+        for (let k = 1; k <= bernoulli.length; k++) {
+            sum = c.add(sum, c.multiply(c.multiply(product, power), bernoulli[k - 1] / factorial));
+
+            product = c.multiply(product, c.multiply(c.add(s, 2 * k - 1), c.add(s, 2 * k)));
+            power = c.divide(power, N * N);
+            factorial *= (2 * k + 1) * (2 * k + 2);
+        }
+        return sum;
+    }
+
+    /**
+     * The error function, 2/sqrt(pi) times the integral of e^(-t^2) from 0 to x.
+     * Calculated with its Taylor series, or a continued fraction far from the origin where the series would lose precision.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static erf(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+        let c = Complex;
+
+        // erf is odd
+        if (num1.re < 0) return c.negate(c.erf(c.negate(num1)));
+
+        let squared = c.multiply(num1, num1);
+
+        if (c.abs(num1).re < 3 || squared.re < 0) {
+            // 2/sqrt(pi) * the sum of (-1)^n * x^(2n + 1) / (n! * (2n + 1))
+            let term = num1;
+            let sum = num1;
+            for (let n = 1; n < 1000; n++) {
+                term = c.divide(c.multiply(term, c.negate(squared)), n);
+                let added = c.divide(term, 2 * n + 1);
+                sum = c.add(sum, added);
+                if (!(c.abs(added).re > 1e-17 * c.abs(sum).re)) break;
+            }
+            return c.multiply(sum, 2 / Math.sqrt(Math.PI));
+        }
+
+        // erfc(x) = e^(-x^2) / sqrt(pi) / (x + (1/2) / (x + 1 / (x + (3/2) / (x + 2 / (x + ...)))))
+        let fraction = num1;
+        for (let k = 60; k >= 1; k--) {
+            fraction = c.add(num1, c.divide(k / 2, fraction));
+        }
+        return c.subtract(1, c.divide(c.exp(c.negate(squared)), c.multiply(fraction, Math.sqrt(Math.PI))));
+    }
+
+    /**
+     * The Bessel function of the first kind, J_n(x), for whole number orders n.
+     * Calculated with its Taylor series, or the asymptotic expansion for large x.
+     * @param {number|Complex} n - The order, rounded to a whole number.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static besselj(n, num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+        n = Math.round((n.constructor === Complex) ? n.re : n);
+        let c = Complex;
+
+        // J_(-n)(x) = (-1)^n * J_n(x) and J_n(-x) = (-1)^n * J_n(x)
+        let sign = (n % 2 === 0) ? 1 : -1;
+        if (n < 0) return c.multiply(c.besselj(-n, num1), sign);
+        if (num1.re < 0) return c.multiply(c.besselj(n, c.negate(num1)), sign);
+
+        if (c.abs(num1).re >= 17 + n / 2) return c.besselAsymptotic(n, num1).j;
+
+        // The sum of (-1)^k * (x/2)^(2k + n) / (k! * (n + k)!)
+        let half = c.multiply(num1, 0.5);
+        let quarterSquared = c.multiply(half, half);
+        let term = new c(1);
+        for (let k = 1; k <= n; k++) {
+            term = c.divide(c.multiply(term, half), k);
+        }
+        let sum = term;
+        for (let k = 1; k < 500; k++) {
+            term = c.divide(c.multiply(term, c.negate(quarterSquared)), k * (n + k));
+            sum = c.add(sum, term);
+            if (!(c.abs(term).re > 1e-17 * c.abs(sum).re)) break;
+        }
+        return sum;
+    }
+
+    /**
+     * The Bessel function of the second kind, Y_n(x), for whole number orders n. The branch cut is the negative real axis.
+     * Calculated with its series, or the asymptotic expansion for large x.
+     * @param {number|Complex} n - The order, rounded to a whole number.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static bessely(n, num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+        n = Math.round((n.constructor === Complex) ? n.re : n);
+        let c = Complex;
+
+        let sign = (n % 2 === 0) ? 1 : -1;
+        if (n < 0) return c.multiply(c.bessely(-n, num1), sign);
+
+        if (num1.re < 0) {
+            // Y_n(-x) = (-1)^n * (Y_n(x) +- 2i * J_n(x)), with + above the branch cut and - below it
+            let x = c.negate(num1);
+            let jTerm = c.multiply(c.besselj(n, x), new c(0, (num1.im >= 0) ? 2 : -2));
+            return c.multiply(c.add(c.bessely(n, x), jTerm), sign);
+        }
+
+        if (c.abs(num1).re >= 17 + n / 2) return c.besselAsymptotic(n, num1).y;
+
+        let eulerGamma = 0.5772156649015329;
+        let half = c.multiply(num1, 0.5);
+        let quarterSquared = c.multiply(half, half);
+
+        // -1/pi * (x/2)^(-n) * the sum of (n - k - 1)! / k! * (x^2/4)^k for k < n
+        let finite = new c(0);
+        let term = new c(1);
+        for (let k = 1; k < n; k++) term = c.multiply(term, k);
+        for (let k = 0; k < n; k++) {
+            finite = c.add(finite, term);
+            if (k < n - 1) term = c.divide(c.multiply(term, quarterSquared), (k + 1) * (n - k - 1));
+        }
+        let halfPower = new c(1);
+        for (let k = 0; k < n; k++) halfPower = c.multiply(halfPower, half);
+        finite = c.divide(finite, c.multiply(halfPower, -Math.PI));
+
+        // 2/pi * ln(x/2) * J_n(x)
+        let logarithm = c.multiply(c.multiply(c.ln(half), c.besselj(n, num1)), 2 / Math.PI);
+
+        // -1/pi * (x/2)^n * the sum of (psi(k + 1) + psi(n + k + 1)) * (-x^2/4)^k / (k! * (n + k)!), where psi(m + 1) = -gamma + 1 + 1/2 + ... + 1/m
+        let harmonicK = 0;
+        let harmonicNK = 0;
+        for (let m = 1; m <= n; m++) harmonicNK += 1 / m;
+        term = new c(1);
+        for (let k = 1; k <= n; k++) term = c.divide(term, k);
+        let series = c.multiply(term, harmonicK + harmonicNK - 2 * eulerGamma);
+        for (let k = 1; k < 500; k++) {
+            harmonicK += 1 / k;
+            harmonicNK += 1 / (n + k);
+            term = c.divide(c.multiply(term, c.negate(quarterSquared)), k * (n + k));
+            let added = c.multiply(term, harmonicK + harmonicNK - 2 * eulerGamma);
+            series = c.add(series, added);
+            if (!(c.abs(added).re > 1e-17 * c.abs(series).re)) break;
+        }
+        series = c.multiply(c.multiply(series, halfPower), -1 / Math.PI);
+
+        return c.add(c.add(finite, logarithm), series);
+    }
+
+    /**
+     * The asymptotic (Hankel) expansions of the Bessel functions J_n(x) and Y_n(x) for large x, used by besselj and bessely.
+     * @param {number} n - The order, a non-negative whole number.
+     * @param {Complex} num1 - A number with a non-negative real part.
+     * @returns {Object} {"j": J_n(x), "y": Y_n(x)}
+     */
+    static besselAsymptotic(n, num1) {
+        let c = Complex;
+        let mu = 4 * n * n;
+
+        // P and Q are the sums of the terms a_k / x^k with even and odd k, where a_k = (mu - 1)(mu - 9)...(mu - (2k - 1)^2) / (k! * 8^k)
+        let p = new c(1);
+        let q = new c(0);
+        let term = new c(1);
+        for (let k = 1; k < 100; k++) {
+            let next = c.divide(c.multiply(term, mu - Math.pow(2 * k - 1, 2)), c.multiply(num1, 8 * k));
+
+            // The series diverges, so it is cut off at its smallest term
+            if (k > n && c.abs(next).re > c.abs(term).re) break;
+            term = next;
+
+            let signed = (k % 4 === 0 || k % 4 === 1) ? term : c.negate(term);
+            if (k % 2 === 0) p = c.add(p, signed);
+            else q = c.add(q, signed);
+
+            if (c.abs(term).re < 1e-17) break;
+        }
+
+        let omega = c.subtract(num1, (n / 2 + 0.25) * Math.PI);
+        let factor = c.sqrt(c.divide(2 / Math.PI, num1));
+        let cos = c.cos(omega);
+        let sin = c.sin(omega);
+
+        return {
+            j: c.multiply(factor, c.subtract(c.multiply(p, cos), c.multiply(q, sin))),
+            y: c.multiply(factor, c.add(c.multiply(p, sin), c.multiply(q, cos)))
+        };
+    }
+
+    /**
+     * The principal branch of the Lambert W function, the solution w of w * e^w = x.
+     * Calculated with Halley's method.
+     * @param {number|Complex} num1 
+     * @returns {Complex}
+     */
+    static lambertw(num1) {
+        if (num1.constructor !== Complex) num1 = new Complex(num1);
+        let c = Complex;
+
+        if (num1.re === 0 && num1.im === 0) return new c(0);
+
+        // Initial guess, from the series around the branch point -1/e, or the asymptotic form ln(x) - ln(ln(x)) for large x
+        let w;
+        let branchDistance = c.add(c.multiply(num1, Math.E), 1);
+        if (c.abs(branchDistance).re < 2) {
+            let p = c.sqrt(c.multiply(branchDistance, 2));
+            w = c.add(c.subtract(p, 1), c.multiply(c.multiply(p, p), -1 / 3));
+        } else if (c.abs(num1).re < 3) {
+            w = c.ln(c.add(num1, 1));
+        } else {
+            let ln = c.ln(num1);
+            w = c.subtract(ln, c.ln(ln));
+        }
+
+        for (let i = 0; i < 100; i++) {
+            let ew = c.exp(w);
+            let f = c.subtract(c.multiply(w, ew), num1);
+            let wPlusOne = c.add(w, 1);
+
+            // f / (e^w * (w + 1) - (w + 2) * f / (2w + 2))
+            let denominator = c.subtract(c.multiply(ew, wPlusOne), c.divide(c.multiply(c.add(w, 2), f), c.multiply(wPlusOne, 2)));
+            let step = c.divide(f, denominator);
+
+            // At the branch point the denominator is 0 when w is exactly right
+            if (!c.isFinite(step)) break;
+            w = c.subtract(w, step);
+
+            if (c.abs(step).re <= 1e-15 * (1 + c.abs(w).re)) break;
+        }
+        return w;
     }
 
     /**
@@ -0,0 +1,94 @@
+/**
+ * @file The image of a grid in the complex plane under a complex function, used to show conformal maps.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+/**
+ * Holds the images of the grid lines under a function.
+ * @typedef {Object} ConformalGrid
+ * @property {Complex[][]} horizontal - The images of the lines with constant imaginary part.
+ * @property {Complex[][]} vertical - The images of the lines with constant real part.
+ */
+
+
+/**
+ * Calculate the images of a grid of horizontal and vertical lines under a function.
+ * @param {function} func - The function to map the grid with. Called with a Complex and returns an array of results, where the first one is used.
+ * @param {Region} region - The part of the complex plane covered by the grid.
+ * @param {number} lines - Number of lines in each direction.
+ * @param {number} step - The distance between each sample along a line.
+ * @yields {Object} The progress as {progress}, between 0 and 1, after each pair of lines.
+ * @returns {ConformalGrid}
+ */
+function* sampleConformalGrid(func, region, lines, step) {
+    lines = Math.max(2, Math.round(lines));
+
+    // Get the image of the line between two points
+    function sampleLine(start, end) {
+        let length = Complex.abs(Complex.subtract(end, start)).re;
+        let samples = Math.max(1, Math.ceil(length / step));
+        let image = [];
+
+        for (let i = 0; i <= samples; i++) {
+            let point = Complex.add(start, Complex.multiply(Complex.subtract(end, start), i / samples));
+
+            let result = func(point)[0];
+            if (result === undefined) result = new Complex(NaN, NaN);
+            if (result.constructor !== Complex) result = new Complex(result);
+
+            image.push(result);
+        }
+        return image;
+    }
+
+    let horizontal = [];
+    let vertical = [];
+
+    for (let i = 0; i < lines; i++) {
+        let im = region.minIm + i / (lines - 1) * (region.maxIm - region.minIm);
+        horizontal.push(sampleLine(new Complex(region.minRe, im), new Complex(region.maxRe, im)));
+
+        let re = region.minRe + i / (lines - 1) * (region.maxRe - region.minRe);
+        vertical.push(sampleLine(new Complex(re, region.minIm), new Complex(re, region.maxIm)));
+
+        yield {progress: (i + 1) / lines};
+    }
+
+    return {
+        horizontal: horizontal,
+        vertical: vertical
+    };
+}
+
+/**
+ * Draw the images of the grid lines in the output plane, which is the plane spanned by the real (y) and imaginary (z) axes.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {ConformalGrid} grid - The images to draw.
+ * @param {View} view - How the camera is positioned.
+ */
+function drawConformalGrid(canvas, grid, view) {
+    let pixelRatio = window.devicePixelRatio;
+
+    let horizontalStyle = new LineStyle(1 * pixelRatio, constantImColor);
+    let verticalStyle = new LineStyle(1 * pixelRatio, constantReColor);
+
+    let lines = new LineBatch(canvas, view);
+
+    // Add a mapped line, leaving gaps where the function is undefined
+    function addLine(image, style) {
+        for (let i = 1; i < image.length; i++) {
+            let start = image[i - 1];
+            let end = image[i];
+            if (!isFinite(start.re) || !isFinite(start.im) || !isFinite(end.re) || !isFinite(end.im)) continue;
+
+            lines.add(0, start.re, start.im, 0, end.re, end.im, style);
+        }
+    }
+
+    grid.horizontal.forEach(image => addLine(image, horizontalStyle));
+    grid.vertical.forEach(image => addLine(image, verticalStyle));
+
+    lines.draw();
+}
@@ -0,0 +1,220 @@
+/**
+ * @file Domain colouring of a complex function over a rectangular region of the complex plane.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+/**
+ * A rectangular region of the complex plane.
+ * @typedef {Object} Region
+ * @property {number} minRe - The smallest real part.
+ * @property {number} maxRe - The largest real part.
+ * @property {number} minIm - The smallest imaginary part.
+ * @property {number} maxIm - The largest imaginary part.
+ */
+
+/**
+ * Holds the colours of a domain coloring image.
+ * @typedef {Object} DomainImage
+ * @property {number} width - Width of the image in samples.
+ * @property {number} height - Height of the image in samples.
+ * @property {Uint8ClampedArray} data - RGBA values, row by row starting at the top (largest imaginary part).
+ * @property {Region} region - The part of the complex plane the image covers.
+ */
+
+
+/**
+ * Convert a colour from HSL to RGB.
+ * @param {number} hue - Hue, between 0 and 1.
+ * @param {number} saturation - Saturation, between 0 and 1.
+ * @param {number} lightness - Lightness, between 0 and 1.
+ * @returns {number[]} [r, g, b], each between 0 and 255.
+ */
+function hslToRgb(hue, saturation, lightness) {
+    let chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    let h = (((hue % 1) + 1) % 1) * 6;
+    let x = chroma * (1 - Math.abs(h % 2 - 1));
+    let m = lightness - chroma * 0.5;
+
+    let rgb;
+    if (h < 1) rgb = [chroma, x, 0];
+    else if (h < 2) rgb = [x, chroma, 0];
+    else if (h < 3) rgb = [0, chroma, x];
+    else if (h < 4) rgb = [0, x, chroma];
+    else if (h < 5) rgb = [x, 0, chroma];
+    else rgb = [chroma, 0, x];
+
+    return rgb.map(c => Math.round((c + m) * 255));
+}
+
+/**
+ * Get the domain coloring colour of a value. The hue is given by the argument (red for positive real numbers),
+ * and the brightness by the absolute value, going from black at 0 to white at infinity.
+ * @param {Complex} value
+ * @returns {number[]} [r, g, b], each between 0 and 255.
+ */
+function domainColor(value) {
+    if (isNaN(value.re) || isNaN(value.im)) return [128, 128, 128];
+
+    let polar = Complex.toPolar(value);
+    let lightness = Math.atan(polar.r) / Math.PI * 2;
+
+    return hslToRgb(polar.theta / (2 * Math.PI), 1, lightness);
+}
+
+/**
+ * Calculate a domain coloring image of a function.
+ * @param {function} func - The function to colour. Called with a Complex and returns an array of results, where the first one is used.
+ * @param {Region} region - The part of the complex plane to colour.
+ * @param {number} step - The distance between each sample in the complex plane.
+ * @param {number} [maxSize] - The largest number of samples along each side of the image.
+ * @yields {Object} The progress as {progress, chunk}, where progress is between 0 and 1 and chunk holds the rows coloured
+ * since the last time, as {width, height, region, start, data} where start is the index of the rows in the data of the image.
+ * @returns {DomainImage}
+ */
+function* sampleDomainColoring(func, region, step, maxSize = 1000) {
+    let reLength = region.maxRe - region.minRe;
+    let imLength = region.maxIm - region.minIm;
+
+    let width = Math.max(1, Math.min(maxSize, Math.round(reLength / step)));
+    let height = Math.max(1, Math.min(maxSize, Math.round(imLength / step)));
+
+    let data = new Uint8ClampedArray(width * height * 4);
+
+    // The progress is yielded after about this many pixels
+    let rowsPerChunk = Math.max(1, Math.floor(16384 / width));
+    let yieldedRows = 0;
+
+    for (let row = 0; row < height; row++) {
+        // Sample in the middle of each pixel, top row has the largest imaginary part
+        let im = region.maxIm - (row + 0.5) / height * imLength;
+
+        for (let column = 0; column < width; column++) {
+            let re = region.minRe + (column + 0.5) / width * reLength;
+
+            let result = func(new Complex(re, im))[0];
+            if (result === undefined) result = new Complex(NaN, NaN);
+            if (result.constructor !== Complex) result = new Complex(result);
+
+            let color = domainColor(result);
+            let index = (row * width + column) * 4;
+            data[index] = color[0];
+            data[index + 1] = color[1];
+            data[index + 2] = color[2];
+            data[index + 3] = 255;
+        }
+
+        if ((row + 1) % rowsPerChunk === 0 || row === height - 1) {
+            let start = yieldedRows * width * 4;
+            let end = (row + 1) * width * 4;
+            yield {
+                progress: (row + 1) / height,
+                chunk: {width: width, height: height, region: region, start: start, data: data.slice(start, end)}
+            };
+            yieldedRows = row + 1;
+        }
+    }
+
+    return {
+        width: width,
+        height: height,
+        data: data,
+        region: region
+    };
+}
+
+/**
+ * Get the rectangle on the canvas where a region is drawn. The region is scaled to fit the canvas, keeping its aspect ratio.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {Region} region
+ * @returns {Object} {"x": x, "y": y, "width": width, "height": height} in pixels.
+ */
+function getDomainRectangle(canvas, region) {
+    let reLength = region.maxRe - region.minRe;
+    let imLength = region.maxIm - region.minIm;
+
+    let scale = Math.min(canvas.width / reLength, canvas.height / imLength);
+    let width = reLength * scale;
+    let height = imLength * scale;
+
+    return {
+        x: (canvas.width - width) * 0.5,
+        y: (canvas.height - height) * 0.5,
+        width: width,
+        height: height
+    };
+}
+
+/**
+ * Draw a domain coloring image on the canvas, together with the real and imaginary axes.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {DomainImage} image - The image to draw.
+ */
+function drawDomainColoring(canvas, image) {
+    let pixelRatio = window.devicePixelRatio;
+    let ctx = canvas.getContext("2d");
+    let region = image.region;
+
+    // The image is drawn on a separate canvas first, so that it can be scaled up.
+    let imageCanvas = document.createElement("canvas");
+    imageCanvas.width = image.width;
+    imageCanvas.height = image.height;
+    imageCanvas.getContext("2d").putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+
+    let rectangle = getDomainRectangle(canvas, region);
+    ctx.drawImage(imageCanvas, rectangle.x, rectangle.y, rectangle.width, rectangle.height);
+
+    // Position on the canvas of 0 + 0i
+    let originX = rectangle.x + (0 - region.minRe) / (region.maxRe - region.minRe) * rectangle.width;
+    let originY = rectangle.y + (region.maxIm - 0) / (region.maxIm - region.minIm) * rectangle.height;
+
+    let originalStyle = new LineStyle(ctx.lineWidth, ctx.strokeStyle);
+    ctx.lineWidth = 1 * pixelRatio;
+    ctx.strokeStyle = functionColor;
+
+    ctx.beginPath();
+    if (region.minIm <= 0 && region.maxIm >= 0) {
+        // Real axis
+        ctx.moveTo(rectangle.x, originY);
+        ctx.lineTo(rectangle.x + rectangle.width, originY);
+    }
+    if (region.minRe <= 0 && region.maxRe >= 0) {
+        // Imaginary axis
+        ctx.moveTo(originX, rectangle.y);
+        ctx.lineTo(originX, rectangle.y + rectangle.height);
+    }
+    ctx.stroke();
+
+    ctx.lineWidth = originalStyle.width;
+    ctx.strokeStyle = originalStyle.color;
+}
+
+/**
+ * Draw a path in the complex plane on top of a domain coloring image.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {Region} region - The part of the complex plane the image covers.
+ * @param {Complex[]} path - The points of the path.
+ */
+function drawDomainPath(canvas, region, path) {
+    let pixelRatio = window.devicePixelRatio;
+    let ctx = canvas.getContext("2d");
+    let rectangle = getDomainRectangle(canvas, region);
+
+    let originalStyle = new LineStyle(ctx.lineWidth, ctx.strokeStyle);
+    ctx.lineWidth = 2 * pixelRatio;
+    ctx.strokeStyle = pathColor;
+
+    ctx.beginPath();
+    path.forEach((point, i) => {
+        let x = rectangle.x + (point.re - region.minRe) / (region.maxRe - region.minRe) * rectangle.width;
+        let y = rectangle.y + (region.maxIm - point.im) / (region.maxIm - region.minIm) * rectangle.height;
+
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    ctx.lineWidth = originalStyle.width;
+    ctx.strokeStyle = originalStyle.color;
+}
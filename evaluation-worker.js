@@ -0,0 +1,117 @@
+/**
+ * @file Worker that calculates the function values, so that the page keeps responding while a heavy function is calculated.
+ * Each message from the page is a job, and a job is cancelled as soon as a newer job arrives, e.g. when a slider is moved.
+ * The worker answers with the progress of the job, chunks of the values as they are calculated and at last the result,
+ * or an error message if the calculation fails.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+importScripts(
+    "complex.js",
+    "domain-coloring.js",
+    "surface.js",
+    "riemann-surface.js",
+    "conformal-map.js",
+    "adaptive-sampling.js",
+    "expression-parser.js",
+    "function-compiler.js",
+    "evaluation.js"
+);
+
+
+/**
+ * A job sent by the page.
+ * @typedef {Object} EvaluationJob
+ * @property {number} id - Increases with each job.
+ * @property {string} functionText - The function(s), as written in the function editor.
+ * @property {string} pathText - The input path, or an empty string when the input is the real axis.
+ * @property {Object[]} variables - The name and value of each variable.
+ * @property {SamplingSettings} settings
+ */
+
+
+// How long the worker calculates before checking for newer jobs, in ms
+let timeSlice = 20;
+
+// The id of the newest job
+let latestJob = -1;
+
+// The sampler is compiled again only when the function, the input path or the names of the variables change.
+// The values of the variables are updated in place, since the compiled functions read them every time they are evaluated.
+let sampler = null;
+let samplerKey = null;
+let variables = [];
+
+onmessage = function(event) {
+    latestJob = event.data.id;
+    runJob(event.data);
+};
+
+/**
+ * Let the worker receive messages, e.g. a newer job.
+ * @returns {Promise}
+ */
+function pause() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Get a sampler for the function of a job.
+ * @param {EvaluationJob} job
+ * @returns {FunctionSampler}
+ */
+function getSampler(job) {
+    let key = JSON.stringify([job.functionText, job.pathText, job.variables.map(variable => variable.name)]);
+
+    if (key !== samplerKey) {
+        variables = job.variables.map(variable => ({name: variable.name, value: null}));
+        sampler = new FunctionSampler(job.functionText, job.pathText, variables);
+        samplerKey = key;
+    }
+
+    job.variables.forEach((variable, i) => variables[i].value = restoreComplex(variable.value));
+    return sampler;
+}
+
+/**
+ * Calculate the values of a job in time slices, and stop if a newer job arrives.
+ * If the calculation throws, the error is sent to the page instead of becoming an unhandled rejection.
+ * @param {EvaluationJob} job
+ */
+async function runJob(job) {
+    // Newer jobs that are already waiting replace this one before it starts
+    await pause();
+    if (job.id !== latestJob) return;
+
+    try {
+        let steps = getSampler(job).sample(job.settings);
+        let streamed = false;
+
+        for (;;) {
+            let sliceEnd = performance.now() + timeSlice;
+            let step;
+
+            do {
+                step = steps.next();
+                if (!step.done && step.value.chunk !== undefined) {
+                    postMessage({type: "chunk", id: job.id, chunk: step.value.chunk});
+                    streamed = true;
+                }
+            } while (!step.done && performance.now() < sliceEnd);
+
+            if (step.done) {
+                // The values that were sent in chunks aren't sent again
+                postMessage({type: "result", id: job.id, result: streamed ? null : step.value});
+                return;
+            }
+
+            postMessage({type: "progress", id: job.id, progress: step.value.progress});
+
+            await pause();
+            if (job.id !== latestJob) return;
+        }
+    } catch (error) {
+        postMessage({type: "error", id: job.id, message: error.message});
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * @file Calculation of the function values of each plot mode, shared by the main script and the evaluation worker.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+/**
+ * The settings that decide which values are calculated, read from the settings of the page.
+ * @typedef {Object} SamplingSettings
+ * @property {string} mode - The plot mode, e.g. "curve" or "domain".
+ * @property {number} begin - The smallest value on the x axis.
+ * @property {number} end - The largest value on the x axis.
+ * @property {number} step - The resolution, i.e. the distance between each sample.
+ * @property {boolean} adaptive - Whether the curves are sampled adaptively.
+ * @property {boolean} continueBranches - Whether the curves are continued across branch cuts.
+ * @property {Region} region - The part of the complex plane used as input when plotting over the complex plane.
+ * @property {number} size - The number of samples or lines along each side of the grid.
+ * @property {number} sheets - The number of sheets of the Riemann surface.
+ */
+
+
+/**
+ * The function and the input path written by the user, compiled for each way the plot modes calculate them.
+ * @property {CompiledFunction} function - The function on the principal branches.
+ * @property {CompiledFunction} continuous - The function with the multi-valued functions following the input path,
+ * used when continuing curves across branch cuts.
+ * @property {CompiledFunction} sheets - The function with the multi-valued functions on a given branch, used for the
+ * sheets of the Riemann surface.
+ * @property {CompiledFunction} path - The input path z(t).
+ */
+class FunctionSampler {
+    /**
+     * @param {string} functionText - The function(s), as written in the function editor.
+     * @param {string} pathText - The input path, or an empty string when the input is the real axis.
+     * @param {Object[]} variables - The variables that can be used, e.g. variableList.
+     */
+    constructor(functionText, pathText, variables) {
+        this.pathText = pathText;
+        this.function = new CompiledFunction(functionText, "x", variables);
+        this.continuous = new CompiledFunction(functionText, "x", variables, "continuous");
+        this.sheets = new CompiledFunction(functionText, "x", variables, "sheet");
+        this.path = new CompiledFunction(pathText, "t", variables);
+    }
+
+    /**
+     * Get the input value of the function for a given value of t, i.e. a point on the input path z(t).
+     * Without an input path, the input is the real number t.
+     * @param {number} t
+     * @returns {Complex}
+     */
+    inputPath(t) {
+        if (this.pathText === "") return new Complex(t, 0);
+
+        let result = this.path.evaluate(new Complex(t, 0))[0];
+        if (result === undefined) return new Complex(NaN, NaN);
+        if (result.constructor !== Complex) result = new Complex(result);
+        return result;
+    }
+
+    /**
+     * Let the running integrals start where the plot starts.
+     * @param {number} begin - The smallest value on the x axis.
+     */
+    startIntegrals(begin) {
+        let start = this.inputPath(begin);
+        this.function.integralStart = start;
+        this.continuous.integralStart = start;
+        this.sheets.integralStart = start;
+    }
+
+    /**
+     * Calculate the values of a plot mode.
+     * @param {SamplingSettings} settings
+     * @yields {Object} The progress of the sampler of the plot mode, see e.g. {@link sampleCurve}.
+     * @returns {SampleBuffer|DomainImage|Surface|RiemannSurface|ConformalGrid} The values, depending on the plot mode.
+     */
+    *sample(settings) {
+        this.startIntegrals(settings.begin);
+
+        let func = input => this.function.evaluate(input);
+        let step = samplingStep(settings.step);
+
+        if (settings.mode === "domain") {
+            return yield* sampleDomainColoring(func, settings.region, step);
+        }
+
+        if (settings.mode === "surface") {
+            return yield* sampleSurface(func, settings.region, settings.size);
+        }
+
+        if (settings.mode === "riemann") {
+            let sheets = (input, branch) => this.sheets.evaluate(input, branch);
+            return yield* sampleRiemannSurface(sheets, settings.region, settings.size, settings.sheets);
+        }
+
+        if (settings.mode === "conformal") {
+            return yield* sampleConformalGrid(func, settings.region, settings.size, step);
+        }
+
+        // The continued branches depend on the whole path from the start of the plot
+        let compiled = this.function;
+        if (settings.continueBranches) {
+            this.continuous.resetBranches();
+            compiled = this.continuous;
+        }
+
+        let evaluate = (input, re, im, index) => compiled.evaluateInto(input, re, im, index);
+        let path = t => this.inputPath(t);
+        return yield* sampleCurve(evaluate, compiled.outputs.length, path, settings.begin, settings.end, step, settings.adaptive);
+    }
+}
+
+
+/**
+ * Get the distance between the samples from the resolution setting.
+ * @param {number} step - The resolution, which is 0 or NaN when the field is empty or invalid.
+ * @returns {number} The resolution, or 0.05 if it can't be used.
+ */
+function samplingStep(step) {
+    return (step > 0 && isFinite(step)) ? step : 0.05;
+}
+
+/**
+ * Run a sampler until it is done, without pausing.
+ * @param {Generator} steps - The sampler, e.g. from {@link FunctionSampler#sample}.
+ * @returns {*} The result of the sampler.
+ */
+function finishSampling(steps) {
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+/**
+ * Add a chunk yielded by a sampler to the values calculated so far.
+ * @param {SampleBuffer|DomainImage|null} values - The values so far, or null for the first chunk.
+ * @param {SampleBuffer|Object} chunk - New samples of the curves, or new rows of a domain colouring image.
+ * @returns {SampleBuffer|DomainImage} The values with the chunk added.
+ */
+function addChunk(values, chunk) {
+    // Rows of a domain colouring image
+    if (chunk.data !== undefined) {
+        if (values === null) {
+            values = {
+                width: chunk.width,
+                height: chunk.height,
+                data: new Uint8ClampedArray(chunk.width * chunk.height * 4),
+                region: chunk.region
+            };
+        }
+        values.data.set(chunk.data, chunk.start);
+        return values;
+    }
+
+    if (values === null) values = new SampleBuffer(chunk.functions);
+    values.append(chunk);
+    return values;
+}
+
+/**
+ * Turn the complex numbers in a value sent from a worker back into Complex objects, since only the properties of
+ * objects are kept when they are sent. Typed arrays are left as they are.
+ * @param {*} value - E.g. a Surface.
+ * @returns {*} The value with Complex objects.
+ */
+function restoreComplex(value) {
+    if (value === null || typeof value !== "object" || ArrayBuffer.isView(value)) return value;
+
+    if (Array.isArray(value)) return value.map(restoreComplex);
+
+    let keys = Object.keys(value);
+    if (keys.length === 2 && "re" in value && "im" in value) return new Complex(value.re, value.im);
+
+    let restored = {};
+    keys.forEach(key => restored[key] = restoreComplex(value[key]));
+    return restored;
+}
@@ -4,6 +4,36 @@
  * @copyright Oscar Litorell 2019
  */
 
+/**
+ * An error in an expression written by the user, e.g. unbalanced parentheses.
+ * @property {number} line - The line of the error (starting at 1), or null if not known.
+ * @property {number} column - The column of the error (starting at 1).
+ */
+class ExpressionError extends Error {
+    /**
+     * @param {string} message - Description of the error.
+     * @param {number} column - The column of the error (starting at 1).
+     * @param {number} [line] - The line of the error (starting at 1).
+     */
+    constructor(message, column, line = null) {
+        super(message);
+        this.name = "ExpressionError";
+        this.column = column;
+        this.line = line;
+    }
+}
+
+
+/**
+ * A token in an expression, together with its position.
+ * @typedef {Object} Token
+ * @property {string} token - The token, e.g. "sin" or "2.5".
+ * @property {number} column - The column where the token begins (starting at 1).
+ * @property {number} [args] - For functions in a postfix expression, the number of arguments the function was called with.
+ * @property {boolean} [unary] - True for a unary minus, which is written as "neg" in a postfix expression.
+ */
+
+
 /**
  * Used for parsing infix expressions, and converting them to postfix.
  * @hideconstructor
@@ -47,7 +77,7 @@ class ExpressionParser {
     static parseToken(expression, index) {
         let char = expression[index];
 
-        let oneChars = "+-*/^()";
+        let oneChars = "+-*/^(),";
 
         let type;
 
@@ -57,37 +87,79 @@ class ExpressionParser {
             type = ExpressionParser.getType(expression[index]);
         }
 
+        // Unknown characters are single tokens
+        if (type === "other") return char;
 
-        for (var i = index + 1; i < expression.length; i++) {
-            if (ExpressionParser.getType(expression[i]) !== type) {
+        // Numbers can be written in scientific notation, e.g. 1e-3, and end with i if they are imaginary, e.g. 2.5E4i
+        if (type === "number") {
+            let i = index;
+            while (i < expression.length && ExpressionParser.isNumeral(expression[i])) i++;
 
-                // If last character is not i
-                if (!(expression[i] === "i" && (ExpressionParser.getType(expression[i - 1]) === type))) break;
-            };
-        }
+            let exponent = /^[eE][+-]?[0-9]/.exec(expression.substring(i, i + 3));
+            if (exponent !== null) {
+                i += exponent[0].length;
+                while (i < expression.length && "0123456789".includes(expression[i])) i++;
+            }
+
+            // The i is only part of the number if it isn't the start of a name, e.g. 2im(x) is 2 * im(x)
+            let next = expression[i + 1];
+            if (expression[i] === "i" && (next === undefined || !(ExpressionParser.isAlpha(next) || ExpressionParser.isNumeral(next)))) i++;
 
-        let token = expression.substring(index, i);
+            return expression.substring(index, i);
+        }
 
-        return token;
+        // Names can contain digits and underscores after the first letter, e.g. atan2 or ln_k
+        if (type === "alpha") {
+            for (var i = index + 1; i < expression.length; i++) {
+                if (!ExpressionParser.isAlpha(expression[i]) && !"0123456789_".includes(expression[i])) break;
+            }
+            return expression.substring(index, i);
+        }
     }
 
 
     /**
-     * Check if a token is a function.
+     * Split an expression into tokens. Whitespace separates tokens, but is otherwise ignored.
+     * @param {string} expression - The expression to split.
+     * @returns {Token[]}
+     * @example
+     * // returns [{token: "2", column: 1}, {token: "*", column: 3}, {token: "sin", column: 5}, ...]
+     * ExpressionParser.tokenize("2 * sin(x)")
+     */
+    static tokenize(expression) {
+        let tokens = [];
+
+        for (let i = 0; i < expression.length;) {
+            if (/\s/.test(expression[i])) {
+                i++;
+                continue;
+            }
+
+            let token = ExpressionParser.parseToken(expression, i);
+            tokens.push({token: token, column: i + 1});
+            i += token.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Check if a token is a function, i.e. an operation written before its arguments, e.g. sin or log.
      * @param {string} token
+     * @param {string[]} [functions] - The names of the functions defined by the user.
      * @returns {boolean}
      */
-    static isFunction(token) {
-        return (token in operations && operations[token].args === 1);
+    static isFunction(token, functions = []) {
+        return (token in operations && !ExpressionParser.isOperator(token)) || functions.includes(token);
     }
 
     /**
-     * Check if a token is an operator.
+     * Check if a token is an operator, i.e. an operation written between its two arguments, e.g. + or ^.
      * @param {string} token 
      * @returns {boolean}
      */
     static isOperator(token) {
-        return (token in operations && operations[token].args === 2);
+        return (token.length === 1 && "+-*/^".includes(token) && token in operations);
     }
 
     /**
@@ -99,6 +171,33 @@ class ExpressionParser {
         return (token === "i" || ExpressionParser.isNumeral(token[0]));
     }
 
+    /**
+     * Insert the multiplications that are left out between two values written next to each other,
+     * e.g. 2x, 3sin(x), (x+1)(x-1) or 2 pi.
+     * @param {Token[]} tokens - The tokens of an infix expression.
+     * @param {string[]} [functions] - The names of the functions defined by the user.
+     * @returns {Token[]} The tokens with a "*" token between each pair of values.
+     */
+    static insertImplicitMultiplication(tokens, functions = []) {
+        // A value ends with a number, a variable or a closing parenthesis
+        function endsValue(token) {
+            return token === ")" || ExpressionParser.isNumber(token) || (ExpressionParser.isAlpha(token[0]) && !ExpressionParser.isFunction(token, functions));
+        }
+
+        // A value begins with a number, a variable, a function or an opening parenthesis
+        function beginsValue(token) {
+            return token === "(" || ExpressionParser.isNumber(token) || ExpressionParser.isAlpha(token[0]);
+        }
+
+        let result = [];
+        tokens.forEach((token, i) => {
+            if (i > 0 && endsValue(tokens[i - 1].token) && beginsValue(token.token)) {
+                result.push({token: "*", column: token.column});
+            }
+            result.push(token);
+        });
+        return result;
+    }
 
 
     /**
@@ -107,62 +206,131 @@ class ExpressionParser {
      * <a href="https://en.wikipedia.org/wiki/Shunting-yard_algorithm#The_algorithm_in_detail">https://en.wikipedia.org/wiki/Shunting-yard_algorithm#The_algorithm_in_detail</a>
      * @param {string} expression - The expression to parse written in infix notation.
      * @returns {string[]} The postfix expression stack.
+     * @throws {ExpressionError} If the parentheses are unbalanced.
      * @example
      * // returns ["2", "4", "3", "-", "*"]
      * ExpressionParser.parseExpression("2*(4-3)")
      */
     static parseExpression(expression) {
+        return ExpressionParser.toPostfix(expression).map(token => token.token);
+    }
+
+    /**
+     * Parse an infix notation expression into a postfix expression, keeping the position of each token.
+     * Values written next to each other are multiplied, e.g. 2x is 2*x.
+     * Functions called with parentheses, e.g. log(x, 2), get the number of arguments in their args property.
+     * See {@link ExpressionParser.parseExpression}.
+     * @param {string} expression - The expression to parse written in infix notation.
+     * @param {string[]} [functions] - The names of the functions defined by the user, e.g. f in f(z) = z^2.
+     * @returns {Token[]} The postfix expression stack.
+     * @throws {ExpressionError} If the parentheses are unbalanced or a comma is outside of a function call.
+     */
+    static toPostfix(expression, functions = []) {
+        // neg is unary minus, which binds weaker than ^ but stronger than the other operators, e.g. -x^2 is -(x^2)
         let operators = {
-            "^": {associativity: "right", precedence: 4},
+            "^": {associativity: "right", precedence: 5},
+            "neg": {associativity: "right", precedence: 4},
             "*": {associativity: "left", precedence: 3},
             "/": {associativity: "left", precedence: 3},
             "+": {associativity: "left", precedence: 2},
             "-": {associativity: "left", precedence: 2}
         }
 
-        expression = expression.replace(/\s/g, "").replace(/\(-/g, "(0-");
-        if (expression[0] === "-") expression = "0" + expression;
+        let tokens = ExpressionParser.insertImplicitMultiplication(ExpressionParser.tokenize(expression), functions);
 
         let operatorStack = [];
         let outputQueue = [];
 
+        // For each open parenthesis, the number of commas inside it and whether it is still empty
+        let parentheses = [];
 
-        for (let i = 0; i < expression.length;) {
-            let token = ExpressionParser.parseToken(expression, i);
+        // The token on top of the operator stack
+        function top() {
+            return operatorStack[operatorStack.length - 1].token;
+        }
 
-            i += token.length;       
+        // Check if the operation on top of the operator stack should be applied before an operator
+        function appliesBefore(operator) {
+            if (top() === "(") return false;
+            if (!operatorStack[operatorStack.length - 1].unary && ExpressionParser.isFunction(top(), functions)) return true;
 
-            if (ExpressionParser.isFunction(token)) {
-                operatorStack.push(token);
+            let precedence = operators[top()].precedence;
+            return precedence > operators[operator].precedence
+                || (precedence === operators[operator].precedence && operators[operator].associativity === "left");
+        }
+
+        // A + or - is unary if it is followed by something and comes first or after (, a comma or another operator, e.g. -x, 2*-x or x^-2
+        function isUnary(i) {
+            if (!"+-".includes(tokens[i].token) || i === tokens.length - 1) return false;
+            return i === 0 || "(,".includes(tokens[i - 1].token) || ExpressionParser.isOperator(tokens[i - 1].token);
+        }
+
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i].token;
+
+            if (parentheses.length > 0 && token !== ")" && token !== ",") parentheses[parentheses.length - 1].empty = false;
+
+            if (isUnary(i)) {
+                // Unary plus does nothing
+                if (token === "-") operatorStack.push({token: "neg", column: tokens[i].column, unary: true});
+            } else if (ExpressionParser.isFunction(token, functions)) {
+                operatorStack.push(tokens[i]);
             } else if (ExpressionParser.isOperator(token)) {
-                let top = operatorStack[operatorStack.length - 1];
-                while (operatorStack.length > 0 && (ExpressionParser.isFunction(top)
-                    || (ExpressionParser.isOperator(top) && operators[top].precedence > operators[token].precedence)
-                    || (ExpressionParser.isOperator(top) && operators[top].precedence === operators[token].precedence && operators[top].associativity === "left"))
-                    && (top !== "(")) {
+                while (operatorStack.length > 0 && appliesBefore(token)) {
                     outputQueue.push(operatorStack.pop());
-                    top = operatorStack[operatorStack.length - 1];
                 }
-                operatorStack.push(token);
+                operatorStack.push(tokens[i]);
             } else if (token === "(") {
-                operatorStack.push(token);
+                operatorStack.push(tokens[i]);
+                parentheses.push({commas: [], empty: true});
+            } else if (token === ",") {
+                while (operatorStack.length > 0 && top() !== "(") {
+                    outputQueue.push(operatorStack.pop())
+                }
+                if (operatorStack.length === 0) {
+                    throw new ExpressionError("Comma outside of a function call", tokens[i].column);
+                }
+                if (parentheses[parentheses.length - 1].empty) {
+                    throw new ExpressionError("Missing argument", tokens[i].column);
+                }
+                parentheses[parentheses.length - 1].commas.push(tokens[i].column);
+                parentheses[parentheses.length - 1].empty = true;
             } else if (token === ")") {
-                while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== "(") {
+                while (operatorStack.length > 0 && top() !== "(") {
                     outputQueue.push(operatorStack.pop())
                 }
-                if (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] === "(") {
-                    operatorStack.pop();
+                if (operatorStack.length === 0) {
+                    throw new ExpressionError("Unmatched closing parenthesis", tokens[i].column);
+                }
+                let open = operatorStack.pop();
+                let inside = parentheses.pop();
+
+                if (inside.empty && inside.commas.length > 0) {
+                    throw new ExpressionError("Missing argument", tokens[i].column);
+                }
+
+                if (operatorStack.length > 0 && ExpressionParser.isFunction(top(), functions) && !operatorStack[operatorStack.length - 1].unary) {
+                    // The parentheses are the arguments of a function
+                    let args = (inside.empty) ? 0 : inside.commas.length + 1;
+                    outputQueue.push({...operatorStack.pop(), args: args});
+                } else if (inside.commas.length > 0) {
+                    throw new ExpressionError("Comma outside of a function call", inside.commas[0]);
+                } else if (inside.empty) {
+                    throw new ExpressionError("Empty parentheses", open.column);
                 }
             } else {
-                outputQueue.push(token);
+                outputQueue.push(tokens[i]);
             }
 
         }
 
         while (operatorStack.length > 0) {
+            if (top() === "(") {
+                throw new ExpressionError("Missing closing parenthesis", operatorStack[operatorStack.length - 1].column);
+            }
             outputQueue.push(operatorStack.pop())
         }
 
         return outputQueue;
     }
-}
\ No newline at end of file
+}
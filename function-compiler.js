@@ -0,0 +1,863 @@
+/**
+ * @file Compiles the functions written by the user into expression trees and evaluators.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// The symbols for the available functions.
+// args is the number of arguments, which variadic functions only use in RPN. maxArgs is the largest number of arguments
+// for functions with optional arguments.
+// inPlace is a version of the function that stores its result in an existing Complex, see Complex.addInto.
+// Lazy functions get their arguments as closures together with the scope, so that they can evaluate them several times.
+// bound is a variable that a lazy function sets in some of its arguments, e.g. z in iterate(z^2 + x, 0, 10).
+// The name of the variable is either given, the input variable, or written by the user as one of the arguments,
+// e.g. k in sum(k, 1, 10, x^k). If point is true, that argument is also evaluated, e.g. x in deriv(x^2, x).
+let operations = {
+    "+": {args: 2, function: Complex.add, inPlace: Complex.addInto},
+    "-": {args: 2, function: Complex.subtract, inPlace: Complex.subtractInto},
+    "*": {args: 2, function: Complex.multiply, inPlace: Complex.multiplyInto},
+    "/": {args: 2, function: Complex.divide, inPlace: Complex.divideInto},
+    "^": {args: 2, function: Complex.raise, inPlace: Complex.raiseInto},
+    "neg": {args: 1, function: Complex.negate, inPlace: Complex.negateInto},
+    "exp": {args: 1, function: Complex.exp},
+    "sqrt": {args: 1, function: Complex.sqrt},
+    "sinh": {args: 1, function: Complex.sinh},
+    "cosh": {args: 1, function: Complex.cosh},
+    "tanh": {args: 1, function: Complex.tanh},
+    "asinh": {args: 1, function: Complex.asinh},
+    "acosh": {args: 1, function: Complex.acosh},
+    "atanh": {args: 1, function: Complex.atanh},
+    "conj": {args: 1, function: Complex.conj},
+    "re": {args: 1, function: Complex.re},
+    "im": {args: 1, function: Complex.im},
+    "arg": {args: 1, function: Complex.arg},
+    "sign": {args: 1, function: Complex.sign},
+    "floor": {args: 1, function: Complex.floor},
+    "ceil": {args: 1, function: Complex.ceil},
+    "log10": {args: 1, function: Complex.log10},
+    "log2": {args: 1, function: Complex.log2},
+    "ln": {args: 1, function: Complex.ln},
+    "abs": {args: 1, function: Complex.abs},
+    "sin": {args: 1, function: Complex.sin},
+    "cos": {args: 1, function: Complex.cos},
+    "tan": {args: 1, function: Complex.tan},
+    "asin": {args: 1, function: Complex.asin},
+    "acos": {args: 1, function: Complex.acos},
+    "atan": {args: 1, function: Complex.atan},
+    "log": {args: 2, function: Complex.log},
+    "root": {args: 2, maxArgs: 3, function: Complex.root},
+    "ln_k": {args: 2, function: Complex.lnBranch},
+    "atan2": {args: 2, function: Complex.atan2},
+    "min": {args: 2, variadic: true, function: Complex.min},
+    "max": {args: 2, variadic: true, function: Complex.max},
+    "lerp": {args: 3, function: Complex.lerp},
+    "gamma": {args: 1, function: Complex.gamma},
+    "zeta": {args: 1, function: Complex.zeta},
+    "erf": {args: 1, function: Complex.erf},
+    "besselj": {args: 2, function: Complex.besselj},
+    "bessely": {args: 2, function: Complex.bessely},
+    "lambertw": {args: 1, function: Complex.lambertw},
+    "iterate": {args: 3, lazy: true, bound: {name: "z", args: [0]}, function: iterate},
+    "escape": {args: 4, lazy: true, bound: {name: "z", args: [0]}, function: escape},
+    "sum": {args: 4, lazy: true, bound: {arg: 0, args: [3]}, function: sum},
+    "prod": {args: 4, lazy: true, bound: {arg: 0, args: [3]}, function: prod},
+    "deriv": {args: 2, lazy: true, bound: {arg: 1, args: [0], point: true}, function: deriv},
+    "integral": {args: 3, lazy: true, bound: {input: true, args: [0]}, function: integral},
+    "cumint": {args: 1, lazy: true, bound: {input: true, args: [0]}, function: cumint}
+};
+
+// The multi-valued functions whose branch can be chosen, in terms of the logarithm of their first argument and
+// the values of all their arguments, e.g. sqrt(z) = exp(ln(z) / 2). Used when curves are continued across branch cuts
+// and for the sheets of Riemann surfaces.
+let continuations = {
+    "ln": log => log,
+    "log10": log => Complex.divide(log, Math.LN10),
+    "log2": log => Complex.divide(log, Math.LN2),
+    "log": (log, args) => Complex.divide(log, Complex.ln(args[1])),
+    "sqrt": log => Complex.exp(Complex.divide(log, 2)),
+    "root": (log, args) => Complex.exp(Complex.divide(log, args[1])),
+    "^": (log, args) => (Complex.abs(args[0]).re === 0) ? Complex.raise(args[0], args[1]) : Complex.exp(Complex.multiply(log, args[1]))
+};
+
+// The largest number of times iterate, escape, sum and prod evaluate their expression.
+let maxIterations = 10000;
+
+
+// The largest number of nested calls of the functions defined by the user, e.g. f(z) = f(z/2) * 2.
+let maxCallDepth = 100;
+
+
+/**
+ * Get the number of iterations given by a value, rounded and limited to maxIterations.
+ * @param {Complex} n
+ * @returns {number} The number of iterations, or NaN if n is undefined.
+ */
+function iterationCount(n) {
+    return Math.min(maxIterations, Math.max(0, Math.round(n.re)));
+}
+
+/**
+ * Apply an expression n times, starting at z0, e.g. iterate(z^2 + x, 0, 10).
+ * @param {function[]} args - The compiled expression (of the bound variable), z0 and n.
+ * @param {Object} scope - The scope the operation is evaluated in.
+ * @param {string} name - The name of the bound variable.
+ * @returns {Complex} The value after n iterations.
+ */
+function iterate(args, scope, name) {
+    let z = args[1](scope);
+    let n = iterationCount(args[2](scope));
+    if (isNaN(n)) return new Complex(NaN, NaN);
+
+    let inner = {...scope, bound: {...scope.bound}};
+    for (let i = 0; i < n; i++) {
+        inner.bound[name] = z;
+        z = args[0](inner);
+    }
+    return z;
+}
+
+/**
+ * Count how many times an expression can be applied, starting at z0, before the absolute value exceeds a bound,
+ * e.g. escape(z^2 + x, 0, 50, 2) for the Mandelbrot set.
+ * @param {function[]} args - The compiled expression (of the bound variable), z0, the largest number of iterations n and the bound.
+ * @param {Object} scope - The scope the operation is evaluated in.
+ * @param {string} name - The name of the bound variable.
+ * @returns {Complex} The number of iterations, which is n if the value never escapes.
+ */
+function escape(args, scope, name) {
+    let z = args[1](scope);
+    let n = iterationCount(args[2](scope));
+    let bound = args[3](scope).re;
+    if (isNaN(n) || isNaN(bound)) return new Complex(NaN, NaN);
+
+    let inner = {...scope, bound: {...scope.bound}};
+    for (let i = 0; i < n; i++) {
+        if (Complex.abs(z).re > bound) return new Complex(i);
+        inner.bound[name] = z;
+        z = args[0](inner);
+    }
+    return new Complex(n);
+}
+
+/**
+ * Combine the values of an expression for each integer index from a to b, e.g. sum(k, 1, 10, x^k / k).
+ * @param {function[]} args - The compiled arguments: the index name (unused), a, b and the expression (of the index).
+ * @param {Object} scope - The scope the operation is evaluated in.
+ * @param {string} name - The name of the index.
+ * @param {Complex} initial - The result when b is smaller than a.
+ * @param {function} combine - Combines the result so far with the next value.
+ * @returns {Complex}
+ */
+function accumulate(args, scope, name, initial, combine) {
+    let first = Math.round(args[1](scope).re);
+    let last = Math.round(args[2](scope).re);
+    if (isNaN(first) || isNaN(last)) return new Complex(NaN, NaN);
+
+    let terms = last - first + 1;
+    if (terms <= 0) return initial;
+
+    // With more than maxIterations terms only a part of the sum or product could be calculated, which would be wrong.
+    // Beyond 2^53 the whole numbers can't all be represented, so the indices would repeat.
+    if (terms > maxIterations || !Number.isSafeInteger(first) || !Number.isSafeInteger(last)) return new Complex(NaN, NaN);
+
+    let result = initial;
+    let inner = {...scope, bound: {...scope.bound}};
+    for (let i = 0; i < terms; i++) {
+        inner.bound[name] = new Complex(first + i);
+        result = combine(result, args[3](inner));
+    }
+    return result;
+}
+
+/**
+ * The sum of an expression for each integer index from a to b, e.g. sum(k, 0, 10, x^k).
+ * See {@link accumulate} for the arguments.
+ * @returns {Complex}
+ */
+function sum(args, scope, name) {
+    return accumulate(args, scope, name, new Complex(0), Complex.add);
+}
+
+/**
+ * The product of an expression for each integer index from a to b, e.g. prod(k, 1, 10, 1 - x^2 / k^2).
+ * See {@link accumulate} for the arguments.
+ * @returns {Complex}
+ */
+function prod(args, scope, name) {
+    return accumulate(args, scope, name, new Complex(1), Complex.multiply);
+}
+
+/**
+ * The complex derivative of an expression with respect to a variable, at the value the variable has, e.g. deriv(x^2, x).
+ * Calculated with a five point central difference.
+ * @param {function[]} args - The compiled expression (of the variable) and the value of the variable.
+ * @param {Object} scope - The scope the operation is evaluated in.
+ * @param {string} name - The name of the variable.
+ * @returns {Complex}
+ */
+function deriv(args, scope, name) {
+    let z = args[1](scope);
+    let h = 1e-3 * Math.max(1, Complex.abs(z).re);
+
+    let inner = {...scope, bound: {...scope.bound}};
+    function at(offset) {
+        inner.bound[name] = Complex.add(z, offset * h);
+        return args[0](inner);
+    }
+
+    // (-f(z + 2h) + 8f(z + h) - 8f(z - h) + f(z - 2h)) / 12h
+    let difference = Complex.add(Complex.subtract(Complex.multiply(Complex.subtract(at(1), at(-1)), 8), at(2)), at(-2));
+    return Complex.divide(difference, 12 * h);
+}
+
+/**
+ * Integrate an expression along the straight line from a to b in the complex plane, using adaptive Simpson's rule.
+ * @param {function} expression - The compiled expression (of the variable).
+ * @param {Object} scope - The scope the expression is evaluated in.
+ * @param {string} name - The name of the variable.
+ * @param {Complex} a - The start of the line.
+ * @param {Complex} b - The end of the line.
+ * @returns {Complex}
+ */
+function integrate(expression, scope, name, a, b) {
+    let tolerance = 1e-9;
+    let maxDepth = 40;
+    let panels = 16;
+
+    // The intervals stop being halved when the expression has been evaluated this many times
+    let maxEvaluations = 10000;
+    let evaluations = 0;
+
+    let length = Complex.subtract(b, a);
+    let inner = {...scope, bound: {...scope.bound}};
+
+    // The expression at a + (b - a) * s
+    function at(s) {
+        evaluations++;
+        inner.bound[name] = Complex.add(a, Complex.multiply(length, s));
+        return expression(inner);
+    }
+
+    function simpson(width, start, middle, end) {
+        return Complex.multiply(Complex.add(Complex.add(start, Complex.multiply(middle, 4)), end), width / 6);
+    }
+
+    // The integral between s0 and s1, given the values at s0, the middle and s1 and the integral with Simpson's rule
+    function refine(s0, s1, f0, fm, f1, whole, depth, tolerance) {
+        let m = (s0 + s1) * 0.5;
+        let leftMiddle = at((s0 + m) * 0.5);
+        let rightMiddle = at((m + s1) * 0.5);
+
+        let left = simpson(m - s0, f0, leftMiddle, fm);
+        let right = simpson(s1 - m, fm, rightMiddle, f1);
+        let error = Complex.subtract(Complex.add(left, right), whole);
+        let errorSize = Complex.abs(error).re;
+
+        if (isNaN(errorSize)) return new Complex(NaN, NaN);
+        if (depth >= maxDepth || evaluations >= maxEvaluations || errorSize <= 15 * tolerance) {
+            return Complex.add(Complex.add(left, right), Complex.divide(error, 15));
+        }
+        return Complex.add(
+            refine(s0, m, f0, leftMiddle, fm, left, depth + 1, tolerance * 0.5),
+            refine(m, s1, fm, rightMiddle, f1, right, depth + 1, tolerance * 0.5)
+        );
+    }
+
+    // Start from several panels, so that narrow features between the first few points aren't missed
+    let result = new Complex(0);
+    let s0 = 0;
+    let f0 = at(0);
+    for (let i = 1; i <= panels; i++) {
+        let s1 = i / panels;
+        let fm = at((s0 + s1) * 0.5);
+        let f1 = at(s1);
+        result = Complex.add(result, refine(s0, s1, f0, fm, f1, simpson(s1 - s0, f0, fm, f1), 0, tolerance / panels));
+        s0 = s1;
+        f0 = f1;
+    }
+
+    return Complex.multiply(result, length);
+}
+
+/**
+ * The integral of an expression of the input variable from a to b, e.g. integral(x^2, 0, 1).
+ * @param {function[]} args - The compiled expression, a and b.
+ * @param {Object} scope - The scope the operation is evaluated in.
+ * @param {string} name - The name of the input variable.
+ * @returns {Complex}
+ */
+function integral(args, scope, name) {
+    return integrate(args[0], scope, name, args[1](scope), args[2](scope));
+}
+
+/**
+ * The running integral of an expression of the input variable, from the start of the plot to the current input.
+ * @param {function[]} args - The compiled expression.
+ * @param {Object} scope - The scope the operation is evaluated in.
+ * @param {string} name - The name of the input variable.
+ * @returns {Complex}
+ */
+function cumint(args, scope, name) {
+    let end = (name in scope.bound) ? scope.bound[name] : scope.input;
+    return integrate(args[0], scope, name, scope.start, end);
+}
+
+
+/**
+ * Convert a complex number string e.g. "4" or "3i" into a Complex object.
+ * @param {string} num
+ * @returns {Complex}
+ */
+function parseNumber(num) {
+    if (num[num.length - 1] !== "i") {
+        return new Complex(num);
+    } else {
+        if (num === "i") num = "1i";
+        return new Complex(0, num.substring(0, num.length - 1));
+    }
+}
+
+
+/**
+ * A node in the expression tree of a function.
+ * @typedef {Object} ExpressionNode
+ * @property {string} type - Either "number", "name", "parameter", "operation" or "call" (of a function defined by the user).
+ * @property {Complex} [value] - The value of a number.
+ * @property {string} [name] - The name of a variable, parameter, operation or function.
+ * @property {ExpressionNode[]} [args] - The arguments of an operation or a call.
+ * @property {string} [slot] - If the name refers to a calculated variable (e.g. =var1), the slot where its value is stored.
+ * @property {number} [index] - The position of a parameter among the parameters of its function.
+ * @property {number} line - The line where the node is written (starting at 1).
+ * @property {number} column - The column where the node is written (starting at 1).
+ */
+
+
+/**
+ * A function written by the user (in infix, RPN or a mix of both), compiled once into a tree of closures
+ * so that it can be evaluated quickly for many inputs.
+ * @property {ExpressionError[]} errors - The errors found when compiling, in the order they appear.
+ * @property {ExpressionNode[]} outputs - The expression tree of each function.
+ * @property {Object} functions - The functions defined in the text, e.g. f(z) = z^2, as {parameters, node} by name.
+ * @property {Complex} integralStart - Where the running integrals (cumint) start, e.g. the smallest x of the plot.
+ * @property {string} branches - How the multi-valued functions, e.g. ln and sqrt, choose their branch. Either "principal",
+ * "continuous" (following the path of the inputs) or "sheet" (the branch given to evaluate), see {@link CompiledFunction#compileBranches}.
+ */
+class CompiledFunction {
+    /**
+     * @param {string} text - The function text, with one expression or RPN token on each line.
+     * @param {string} inputName - The name of the input variable, e.g. "x".
+     * @param {Object[]} variables - The variables that can be used, e.g. variableList. Their values are read every time the function is evaluated.
+     * @param {string} [branches] - How the multi-valued functions choose their branch: "principal", "continuous" or "sheet".
+     */
+    constructor(text, inputName, variables, branches = "principal") {
+        this.inputName = inputName;
+        this.variables = variables;
+        this.errors = [];
+
+        // Variables assigned using equals symbol (e.g. =var1), as {slot, node}
+        this.assignments = [];
+        this.outputs = [];
+
+        // The assignments compiled for the scopes where the input variable is bound, by slot and bound names
+        this.boundAssignments = new Map();
+        this.functions = {};
+        this.integralStart = new Complex(0);
+
+        // Functions that forget the branches followed so far
+        this.branchResets = [];
+
+        // The scope of evaluateInto, which is reused since the slots are always assigned before they are used
+        this.sampleScope = {input: null, slots: {}, args: [], bound: {}, start: null, depth: 0, branch: 0};
+
+        this.parse(text);
+
+        // The bodies are compiled before they are called, so that functions can call themselves.
+        // They can be called several times for each input, so they can't follow the path of the inputs, and a
+        // function calling itself would overwrite the temporary values of the call it is part of.
+        this.branches = (branches === "continuous") ? "principal" : branches;
+        this.temporaries = false;
+        Object.values(this.functions).forEach(definition => {
+            definition.evaluate = (definition.node === null) ? () => new Complex(NaN, NaN) : this.compileNode(definition.node);
+        });
+        this.branches = branches;
+        this.temporaries = true;
+
+        // The values of the outputs are copied by evaluate, so they can be temporary too
+        this.compiledAssignments = this.assignments.map(assignment => ({
+            slot: assignment.slot,
+            evaluate: this.compileNode(assignment.node, [], true)
+        }));
+        this.compiledOutputs = this.outputs.map(node => this.compileNode(node, [], true));
+
+        this.errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    /**
+     * Parse the function text into expression trees, by running it as a stack machine where each value is a tree.
+     * Read more here: https://en.wikipedia.org/wiki/Reverse_Polish_notation
+     * Lines defining functions, e.g. f(z) = z^2 + c, are found first so that the functions can be called on any line.
+     * @param {string} text
+     */
+    parse(text) {
+        let stack = [];
+
+        // The slot of the latest assignment of each calculated variable
+        let slots = {};
+
+        // Lines that should be interpreted, i.e. not commented out or empty
+        let lines = [];
+        text.split("\n").forEach((line, index) => {
+            let column = line.length - line.trimStart().length + 1;
+            line = line.trim();
+            if (line === "" || line[0] === "#") return;
+            lines.push({text: line, number: index + 1, column: column});
+        });
+
+        let definitions = lines.map(line => this.parseDefinition(line));
+
+        lines.forEach((line, index) => {
+            let lineNumber = line.number;
+            let column = line.column;
+
+            if (definitions[index] !== null) {
+                // Parse the expression of a defined function
+                let definition = definitions[index];
+                if (definition.name === undefined) return;
+
+                let bodyStack = [];
+                this.parseExpression(definition.body, definition.bodyColumn, lineNumber, bodyStack, {}, definition.parameters);
+                if (bodyStack.length > 1) {
+                    this.errors.push(new ExpressionError(`"${definition.name}" must be defined by a single expression`, definition.bodyColumn, lineNumber));
+                }
+                if (bodyStack.length === 1) definition.node = bodyStack[0];
+                return;
+            }
+
+            if (line.text[0] === "=") {
+                // Store last element in the stack as a variable
+                let name = line.text.substring(1).trim();
+                if (name === "") {
+                    this.errors.push(new ExpressionError("Missing variable name after =", column, lineNumber));
+                } else if (stack.length === 0) {
+                    this.errors.push(new ExpressionError(`Nothing to store in "${name}"`, column, lineNumber));
+                } else {
+                    let slot = `${name}#${this.assignments.length}`;
+                    this.assignments.push({slot: slot, node: stack.pop()});
+                    slots[name] = slot;
+                }
+                return;
+            }
+
+            this.parseExpression(line.text, column, lineNumber, stack, slots, []);
+        });
+
+        this.outputs = stack;
+    }
+
+    /**
+     * Check if a line defines a function, e.g. f(z) = z^2 + c or g(z, n) = z^n, and if so add the function to the defined functions.
+     * @param {Object} line - The line as {text, number, column}.
+     * @returns {Object} The definition as {name, parameters, body, bodyColumn, node}, where name is undefined if the
+     * definition is invalid, or null if the line isn't a function definition.
+     */
+    parseDefinition(line) {
+        let tokens = ExpressionParser.tokenize(line.text);
+        let equals = tokens.findIndex(token => token.token === "=");
+
+        if (equals < 3 || !ExpressionParser.isAlpha(tokens[0].token[0]) || tokens[1].token !== "(" || tokens[equals - 1].token !== ")") {
+            return null;
+        }
+
+        let name = tokens[0].token;
+        let position = column => column + line.column - 1;
+        let definition = {
+            name: undefined,
+            parameters: [],
+            body: line.text.substring(tokens[equals].column),
+            bodyColumn: position(tokens[equals].column + 1),
+            node: null
+        };
+
+        // The parameters are names separated by commas
+        let parameterTokens = tokens.slice(2, equals - 1);
+        for (let i = 0; i < parameterTokens.length; i++) {
+            let token = parameterTokens[i];
+            let expected = (i % 2 === 0) ? "name" : ",";
+
+            if (expected === "," && token.token !== ",") {
+                this.errors.push(new ExpressionError(`Expected "," between the parameters of "${name}"`, position(token.column), line.number));
+                return definition;
+            }
+            if (expected === "name") {
+                if (!ExpressionParser.isAlpha(token.token[0]) || ExpressionParser.isFunction(token.token)) {
+                    this.errors.push(new ExpressionError(`Invalid parameter "${token.token}"`, position(token.column), line.number));
+                    return definition;
+                }
+                if (definition.parameters.includes(token.token)) {
+                    this.errors.push(new ExpressionError(`Parameter "${token.token}" is used twice`, position(token.column), line.number));
+                    return definition;
+                }
+                definition.parameters.push(token.token);
+            }
+        }
+        if (parameterTokens.length % 2 === 0) {
+            this.errors.push(new ExpressionError(`Missing parameter of "${name}"`, position(tokens[equals - 1].column), line.number));
+            return definition;
+        }
+
+        if (operations.hasOwnProperty(name)) {
+            this.errors.push(new ExpressionError(`"${name}" is a built-in function and can't be redefined`, position(tokens[0].column), line.number));
+        } else if (this.functions.hasOwnProperty(name)) {
+            this.errors.push(new ExpressionError(`"${name}" is already defined`, position(tokens[0].column), line.number));
+        } else if (definition.body.trim() === "") {
+            this.errors.push(new ExpressionError(`Missing the expression of "${name}"`, position(tokens[equals].column), line.number));
+        } else {
+            definition.name = name;
+            this.functions[name] = definition;
+        }
+        return definition;
+    }
+
+    /**
+     * Parse an expression (infix, RPN or a mix of both) and push the expression trees of its values to a stack.
+     * @param {string} expression - The expression to parse.
+     * @param {number} column - The column where the expression begins.
+     * @param {number} lineNumber - The line of the expression.
+     * @param {ExpressionNode[]} stack - The stack of expression trees.
+     * @param {Object} slots - The slot of the latest assignment of each calculated variable.
+     * @param {string[]} parameters - The parameters of the function the expression defines, if any.
+     */
+    parseExpression(expression, column, lineNumber, stack, slots, parameters) {
+        let postfix;
+        try {
+            postfix = ExpressionParser.toPostfix(expression, Object.keys(this.functions));
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            this.errors.push(new ExpressionError(error.message, error.column + column - 1, lineNumber));
+            return;
+        }
+
+        for (let i = 0; i < postfix.length; i++) {
+            let token = postfix[i].token;
+            let position = {line: lineNumber, column: postfix[i].column + column - 1};
+
+            let operation = null;
+            if (operations.hasOwnProperty(token)) {
+                operation = operations[token];
+            } else if (this.functions.hasOwnProperty(token)) {
+                operation = {args: this.functions[token].parameters.length};
+            }
+
+            if (operation !== null) {
+                // Token is an operation or a defined function
+                let args = operation.args;
+
+                // Number of arguments in a function call, e.g. log(x, 2)
+                if (postfix[i].args !== undefined) {
+                    args = postfix[i].args;
+                    let maxArgs = (operation.variadic) ? Infinity : (operation.maxArgs || operation.args);
+                    if (args < ((operation.variadic) ? 1 : operation.args) || args > maxArgs) {
+                        let expected = `${operation.args} argument${(operation.args === 1) ? "" : "s"}`;
+                        if (operation.variadic) expected = "at least 1 argument";
+                        if (operation.maxArgs) expected = `${operation.args} or ${operation.maxArgs} arguments`;
+                        this.errors.push(new ExpressionError(`"${token}" takes ${expected}, got ${args}`, position.column, position.line));
+                        return;
+                    }
+                }
+
+                if (stack.length < args) {
+                    let operands = (args === 1) ? "operand" : "operands";
+                    this.errors.push(new ExpressionError(`"${token}" needs ${args} ${operands}`, position.column, position.line));
+                    // The rest of the line can't be parsed
+                    return;
+                }
+                let type = (operations.hasOwnProperty(token)) ? "operation" : "call";
+                stack.push({type: type, name: token, args: stack.splice(stack.length - args), ...position});
+
+            } else if (parameters.includes(token)) {
+                // Token is a parameter of the function being defined
+                stack.push({type: "parameter", name: token, index: parameters.indexOf(token), ...position});
+
+            } else if (ExpressionParser.isAlpha(token[0])) {
+                // Token is a variable, resolved when compiling
+                stack.push({type: "name", name: token, slot: slots[token] || null, ...position});
+
+            } else if (ExpressionParser.isNumber(token)) {
+                // Token is a number
+                let value = parseNumber(token);
+                if (isNaN(value.re) || isNaN(value.im)) {
+                    this.errors.push(new ExpressionError(`Invalid number "${token}"`, position.column, position.line));
+                }
+                stack.push({type: "number", value: value, ...position});
+
+            } else {
+                this.errors.push(new ExpressionError(`Unexpected "${token}"`, position.column, position.line));
+            }
+        }
+    }
+
+    /**
+     * Compile an expression tree into a closure, which calculates the value of the tree given a scope.
+     * @param {ExpressionNode} node
+     * @param {string[]} [bound] - The names of the variables bound by lazy operations around the node.
+     * @param {boolean} [temporary] - Whether the value is used right away, before the node is evaluated again. Then the
+     * operations that can be done in place store their value in the same Complex every time, instead of creating a new one.
+     * @returns {function} Takes the scope ({input, slots, args, bound, start, depth, branch}) and returns a Complex.
+     */
+    compileNode(node, bound = [], temporary = false) {
+        switch (node.type) {
+            case "number": {
+                let value = node.value;
+                return () => value;
+            }
+
+            case "name": {
+                let name = node.name;
+
+                if (bound.includes(name)) return scope => scope.bound[name];
+
+                if (name === this.inputName) return scope => scope.input;
+
+                let variable = this.variables.find(variable => variable.name === name);
+                if (variable !== undefined) return () => variable.value;
+
+                if (node.slot !== null) {
+                    let slot = node.slot;
+
+                    // Where the input variable is bound, e.g. inside deriv(u^2, x), a calculated variable depends on
+                    // the bound value, so its expression is used instead of the value stored for the current input.
+                    // It is compiled once for each scope, and shared by the uses in it.
+                    if (bound.includes(this.inputName)) {
+                        let key = [slot, ...bound].join(" ");
+                        if (!this.boundAssignments.has(key)) {
+                            let assignment = this.assignments.find(assignment => assignment.slot === slot);
+                            this.boundAssignments.set(key, this.compileNode(assignment.node, bound));
+                        }
+                        return this.boundAssignments.get(key);
+                    }
+
+                    return scope => scope.slots[slot];
+                }
+
+                // i is the imaginary unit, unless there is a variable with the same name
+                if (name === "i") {
+                    let value = new Complex(0, 1);
+                    return () => value;
+                }
+
+                this.errors.push(new ExpressionError(`Unknown identifier "${name}"`, node.column, node.line));
+                let value = new Complex(NaN, NaN);
+                return () => value;
+            }
+
+            case "parameter": {
+                let index = node.index;
+                return scope => scope.args[index];
+            }
+
+            case "call": {
+                let definition = this.functions[node.name];
+                let args = node.args.map(arg => this.compileNode(arg, bound));
+                let line = node.line;
+                let column = node.column;
+
+                return scope => {
+                    if (scope.depth >= maxCallDepth) {
+                        throw new ExpressionError(`More than ${maxCallDepth} nested calls of "${definition.name}"`, column, line);
+                    }
+                    return definition.evaluate({
+                        input: scope.input,
+                        slots: scope.slots,
+                        args: args.map(arg => arg(scope)),
+                        bound: {},
+                        start: scope.start,
+                        depth: scope.depth + 1,
+                        branch: scope.branch
+                    });
+                };
+            }
+
+            case "operation": {
+                if (operations[node.name].lazy) return this.compileLazy(node, bound);
+
+                // Inside lazy operations the expression is evaluated several times for each input, so it can't follow
+                // the path of the inputs. A root with a given branch, e.g. root(x, 3, 1), stays on it.
+                let multiValued = continuations.hasOwnProperty(node.name) && !(node.name === "root" && node.args.length === 3);
+                if (multiValued && (this.branches === "sheet" || (this.branches === "continuous" && bound.length === 0))) {
+                    return this.compileBranches(node, bound);
+                }
+
+                let operation = operations[node.name].function;
+
+                // The arguments are used as soon as they are calculated
+                let args = node.args.map(arg => this.compileNode(arg, bound, this.temporaries));
+
+                if (temporary && operations[node.name].inPlace) {
+                    let inPlace = operations[node.name].inPlace;
+                    let out = new Complex();
+                    let arg1 = args[0];
+                    if (args.length === 1) return scope => inPlace(out, arg1(scope));
+                    let arg2 = args[1];
+                    return scope => inPlace(out, arg1(scope), arg2(scope));
+                }
+
+                if (args.length === 1) {
+                    let arg = args[0];
+                    return scope => operation(arg(scope));
+                }
+                if (args.length === 2) {
+                    let arg1 = args[0];
+                    let arg2 = args[1];
+                    return scope => operation(arg1(scope), arg2(scope));
+                }
+                return scope => operation(...args.map(arg => arg(scope)));
+            }
+        }
+    }
+
+    /**
+     * Compile a lazy operation, e.g. iterate, whose arguments are passed as closures.
+     * The arguments where the operation sets its bound variable are compiled with the variable bound.
+     * @param {ExpressionNode} node
+     * @param {string[]} bound - The names of the variables bound by lazy operations around the node.
+     * @returns {function} Takes the scope and returns a Complex.
+     */
+    compileLazy(node, bound) {
+        let operation = operations[node.name];
+        let name = (operation.bound.input) ? this.inputName : operation.bound.name;
+
+        if (operation.bound.arg !== undefined) {
+            let nameNode = node.args[operation.bound.arg];
+            if (nameNode.type !== "name") {
+                this.errors.push(new ExpressionError(`Argument ${operation.bound.arg + 1} of "${node.name}" must be a variable name`, nameNode.column, nameNode.line));
+                return () => new Complex(NaN, NaN);
+            }
+            name = nameNode.name;
+        }
+
+        let args = node.args.map((arg, i) => {
+            // The name of the bound variable is only evaluated if it is the point where the operation is evaluated
+            if (i === operation.bound.arg && !operation.bound.point) return () => new Complex(NaN, NaN);
+            return this.compileNode(arg, (operation.bound.args.includes(i)) ? [...bound, name] : bound);
+        });
+
+        return scope => operation.function(args, scope, name);
+    }
+
+    /**
+     * Compile a multi-valued operation, e.g. ln or sqrt, on the branch given by the scope, i.e. with 2πi * branch added
+     * to the logarithm of its first argument.
+     * When the function is continuous, the operation also follows the path of the inputs across the branch cuts:
+     * the logarithm is moved by whole turns of 2πi to the one closest to the previous logarithm, so the inputs should be
+     * evaluated in order along a path, after a call to {@link CompiledFunction#resetBranches}.
+     * @param {ExpressionNode} node
+     * @param {string[]} bound - The names of the variables bound by lazy operations around the node.
+     * @returns {function} Takes the scope and returns a Complex.
+     */
+    compileBranches(node, bound) {
+        let continuation = continuations[node.name];
+        let args = node.args.map(arg => this.compileNode(arg, bound, this.temporaries));
+        let continuous = (this.branches === "continuous");
+
+        // The logarithm of the previous input, or null if the path starts at the principal branch
+        let previous = null;
+        this.branchResets.push(() => previous = null);
+
+        return scope => {
+            let values = args.map(arg => arg(scope));
+            let log = Complex.lnBranch(values[0], scope.branch);
+            if (!continuous) return continuation(log, values);
+
+            if (previous !== null) {
+                let turns = Math.round((previous.im - log.im) / (2 * Math.PI));
+                if (turns !== 0) log = new Complex(log.re, log.im + 2 * Math.PI * turns);
+            }
+            if (isFinite(log.re) && isFinite(log.im)) previous = log;
+
+            return continuation(log, values);
+        };
+    }
+
+    /**
+     * Start following a new path at the principal branches. Only used when the branches are continuous.
+     */
+    resetBranches() {
+        this.branchResets.forEach(reset => reset());
+    }
+
+    /**
+     * Run the function for an input value.
+     * @param {number|Complex} input - The value of the input variable.
+     * @param {number} [branch] - The branch of the multi-valued functions when the branches are "sheet", e.g. 1 for the
+     * second square root.
+     * @returns {Complex[]} The result of each function. All results are undefined if a defined function calls itself too many times.
+     */
+    evaluate(input, branch = 0) {
+        if (input.constructor !== Complex) input = new Complex(input);
+
+        let scope = {
+            input: input,
+            slots: {},
+            args: [],
+            bound: {},
+            start: this.integralStart,
+            depth: 0,
+            branch: branch
+        };
+
+        try {
+            this.evaluateAssignments(scope);
+
+            // The outputs may be temporary values, which change the next time the function is evaluated
+            return this.compiledOutputs.map(output => {
+                let value = output(scope);
+                return new Complex(value.re, value.im);
+            });
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            return this.compiledOutputs.map(() => new Complex(NaN, NaN));
+        }
+    }
+
+    /**
+     * Run the function for an input value, and store the real and imaginary parts of the results in arrays, e.g. the
+     * Float64Arrays of a {@link SampleBuffer}. Unlike evaluate, this doesn't create any arrays or objects for the results.
+     * @param {Complex} input - The value of the input variable.
+     * @param {Float64Array[]} re - The array for the real parts of each function.
+     * @param {Float64Array[]} im - The array for the imaginary parts of each function.
+     * @param {number} index - Where in the arrays to store the results.
+     */
+    evaluateInto(input, re, im, index) {
+        let scope = this.sampleScope;
+        scope.input = input;
+        scope.start = this.integralStart;
+
+        try {
+            this.evaluateAssignments(scope);
+
+            for (let j = 0; j < this.compiledOutputs.length; j++) {
+                let value = this.compiledOutputs[j](scope);
+                re[j][index] = value.re;
+                im[j][index] = value.im;
+            }
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            for (let j = 0; j < this.compiledOutputs.length; j++) {
+                re[j][index] = NaN;
+                im[j][index] = NaN;
+            }
+        }
+    }
+
+    /**
+     * Calculate the variables assigned using the equals symbol (e.g. =var1) and store them in the slots of a scope.
+     * @param {Object} scope
+     */
+    evaluateAssignments(scope) {
+        for (let i = 0; i < this.compiledAssignments.length; i++) {
+            let assignment = this.compiledAssignments[i];
+            scope.slots[assignment.slot] = assignment.evaluate(scope);
+        }
+    }
+}
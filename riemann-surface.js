@@ -0,0 +1,161 @@
+/**
+ * @file The Riemann surface of a multi-valued function, drawn as stacked sheets over the complex plane.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+/**
+ * Holds the sheets of a Riemann surface, i.e. the values of a function on each of its branches, on a grid over the
+ * complex plane, together with how the grid lines continue from one sheet to another.
+ * @typedef {Object} RiemannSurface
+ * @property {number} size - Number of samples along each side of the grid.
+ * @property {number[]} branches - The branch of each sheet, e.g. [-1, 0, 1].
+ * @property {Complex[][][]} values - The results of the function, values[sheet][row][column], where rows go along the imaginary axis.
+ * @property {number[][][]} right - The sheet that the line from each grid point to the next column continues on, or -1 if the line is broken.
+ * @property {number[][][]} up - The sheet that the line from each grid point to the next row continues on, or -1 if the line is broken.
+ * @property {Region} region - The part of the complex plane the grid covers.
+ */
+
+
+/**
+ * Calculate the sheets of a Riemann surface on a grid over the complex plane.
+ * A grid line continues on the sheet where the function changes the least, so that the sheets join at the branch cuts,
+ * and it is broken where even the smallest change is a jump, e.g. at the edge of the highest sheet of ln.
+ * @param {function} func - The function to calculate. Called with a Complex and a branch, and returns an array of results, where the first one is used.
+ * @param {Region} region - The part of the complex plane to calculate.
+ * @param {number} size - Number of samples along each side of the grid.
+ * @param {number} sheets - The number of sheets, which are the branches around the principal branch 0.
+ * @yields {Object} The progress as {progress}, between 0 and 1, after each row of each sheet.
+ * @returns {RiemannSurface}
+ */
+function* sampleRiemannSurface(func, region, size, sheets) {
+    size = Math.max(2, Math.round(size));
+    sheets = Math.max(1, Math.round(sheets));
+
+    // Changes larger than this many times the median change between neighbouring grid points are jumps
+    let jumpFactor = 10;
+
+    let branches = [];
+    for (let i = 0; i < sheets; i++) branches.push(i - Math.floor((sheets - 1) / 2));
+
+    let values = [];
+    for (let sheet = 0; sheet < sheets; sheet++) {
+        let steps = sampleSurface(input => func(input, branches[sheet]), region, size);
+        let step = steps.next();
+        while (!step.done) {
+            yield {progress: (sheet + step.value.progress) / sheets};
+            step = steps.next();
+        }
+        values.push(step.value.values);
+    }
+
+    // The sheet where the function changes the least from a grid point to a neighbour, preferring the same sheet
+    function closestSheet(sheet, value, row, column) {
+        let closest = sheet;
+        let smallest = Complex.abs(Complex.subtract(values[sheet][row][column], value)).re;
+
+        for (let other = 0; other < sheets; other++) {
+            let change = Complex.abs(Complex.subtract(values[other][row][column], value)).re;
+            if (change < smallest) {
+                closest = other;
+                smallest = change;
+            }
+        }
+        return {sheet: closest, change: smallest};
+    }
+
+    let right = [];
+    let up = [];
+    let changes = [];
+
+    for (let sheet = 0; sheet < sheets; sheet++) {
+        right.push([]);
+        up.push([]);
+
+        for (let row = 0; row < size; row++) {
+            right[sheet].push([]);
+            up[sheet].push([]);
+
+            for (let column = 0; column < size; column++) {
+                let value = values[sheet][row][column];
+
+                let next = (column < size - 1) ? closestSheet(sheet, value, row, column + 1) : {sheet: -1, change: NaN};
+                let above = (row < size - 1) ? closestSheet(sheet, value, row + 1, column) : {sheet: -1, change: NaN};
+
+                right[sheet][row].push(next);
+                up[sheet][row].push(above);
+                if (isFinite(next.change)) changes.push(next.change);
+                if (isFinite(above.change)) changes.push(above.change);
+            }
+        }
+    }
+
+    changes.sort((a, b) => a - b);
+    let largestChange = (changes.length > 0) ? jumpFactor * changes[Math.floor(changes.length / 2)] : 0;
+
+    // Only keep the sheets, and break the lines that jump or go to undefined values
+    function connection(link) {
+        return (isFinite(link.change) && link.change <= largestChange) ? link.sheet : -1;
+    }
+
+    return {
+        size: size,
+        branches: branches,
+        values: values,
+        right: right.map(sheet => sheet.map(row => row.map(connection))),
+        up: up.map(sheet => sheet.map(row => row.map(connection))),
+        region: region
+    };
+}
+
+/**
+ * Get the colour of a sheet of a Riemann surface, with the hue going around the colour wheel as the branch grows.
+ * @param {number} branch - The branch of the sheet.
+ * @returns {string} Colour in hex e.g. "#F9DA2C".
+ */
+function sheetColor(branch) {
+    let hue = ((branch / 6) % 1 + 1) % 1;
+    let rgb = hslToRgb(hue, 1, 0.5);
+    return "#" + rgb.map(c => c.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Draw the sheets of a Riemann surface. The x axis is the real part of the input, the z axis the imaginary part
+ * and the height is the imaginary part of the result. The lines are coloured by the branch of the sheet they start on.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {RiemannSurface} surface - The sheets to draw.
+ * @param {View} view - How the camera is positioned.
+ */
+function drawRiemannSurface(canvas, surface, view) {
+    let pixelRatio = window.devicePixelRatio;
+    let region = surface.region;
+    let size = surface.size;
+
+    // 3D position of a grid point on a sheet
+    function point(sheet, row, column) {
+        let re = region.minRe + column / (size - 1) * (region.maxRe - region.minRe);
+        let im = region.minIm + row / (size - 1) * (region.maxIm - region.minIm);
+        return [re, surface.values[sheet][row][column].im, im];
+    }
+
+    let lines = new LineBatch(canvas, view);
+
+    surface.branches.forEach((branch, sheet) => {
+        let style = new LineStyle(1 * pixelRatio, sheetColor(branch));
+
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                let start = point(sheet, row, column);
+
+                let next = surface.right[sheet][row][column];
+                if (next !== -1) lines.add(...start, ...point(next, row, column + 1), style);
+
+                let above = surface.up[sheet][row][column];
+                if (above !== -1) lines.add(...start, ...point(above, row + 1, column), style);
+            }
+        }
+    });
+
+    lines.draw();
+}
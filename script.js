@@ -240,57 +240,202 @@ class View {
 
 
 /**
- * Draw a line on the canvas between two 3D points.
- * @param {HTMLElement} canvas - The canvas to draw on.
- * @param {number[]} lineStart - Vector for the start of the line.
- * @param {number[]} lineEnd - Vector for the end of the line.
- * @param {LineStyle} lineStyle - Thickness and colour of the line.
- * @param {View} view - How the camera is positioned.
+ * Collects lines between 3D points and draws them all at once. The lines are projected onto the canvas when they are
+ * added, and each run of lines in a row with the same look is drawn as one path, instead of setting the style and
+ * stroking each line by itself. The lines are drawn in the order they were added, so lines added later are drawn on top.
+ * The projection and clipping are the same as in {@link View#projectVector} and {@link View#calculateClip}.
+ * Lines that are completely outside the canvas are left out.
  */
-function drawCanvas3d(canvas, lineStart, lineEnd, lineStyle, view) {
-    let ctx = canvas.getContext("2d");
-    let width = canvas.width;
-    let height = canvas.height;
-    let originalStyle = new LineStyle(ctx.lineWidth, ctx.strokeStyle);
-    
-    ctx.lineWidth = lineStyle.width;
-    ctx.strokeStyle = lineStyle.color;
+class LineBatch {
+    /**
+     * @param {HTMLElement} canvas - The canvas to draw on.
+     * @param {View} view - How the camera is positioned.
+     */
+    constructor(canvas, view) {
+        this.canvas = canvas;
+        this.view = view;
+        this.perspective = (view.projection === "perspective");
+        this.fovCoeff = Math.max(mainCanvas.width, mainCanvas.height) * 0.8;
 
-    let point1;
-    let point2;
+        // The runs of projected lines with the same look, in order, with the lines as [x1, y1, x2, y2, ...] pixel coordinates
+        this.runs = [];
 
+        // The LineStyle object of the last line, so that the look doesn't need to be compared when it is used again
+        this.lastStyle = null;
+    }
 
-    if (view.projection === "perspective") {
-        // Perspective projection
-        clipped = view.calculateClip(lineStart, lineEnd);
-        if (clipped == null) return;
-        point1 = clipped[0];
-        point2 = clipped[1];
-    
-    } else {
-        // Orthogonal projection
-        point1 = lineStart;
-        point2 = lineEnd;
+    /**
+     * Get the pixel coordinates of the lines of the last run, after starting a new run if the line style has another look.
+     * @param {LineStyle} lineStyle
+     * @returns {number[]}
+     */
+    coordinates(lineStyle) {
+        let run = this.runs[this.runs.length - 1];
+        if (lineStyle !== this.lastStyle) {
+            if (run === undefined || run.style.width !== lineStyle.width || run.style.color !== lineStyle.color) {
+                run = {style: lineStyle, coordinates: []};
+                this.runs.push(run);
+            }
+            this.lastStyle = lineStyle;
+        }
+        return run.coordinates;
     }
 
-    // Start and end pixel coordinates
-    let start = view.projectVector(point1);
-    let end = view.projectVector(point2);
+    /**
+     * Get the distance of a point in front of the camera, which is negative if the point is behind the camera.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {number}
+     */
+    depth(x, y, z) {
+        let matrix = this.view.matrix.matrix;
+        let offset = this.view.offset;
+        return matrix[2][0] * (x - offset[0]) + matrix[2][1] * (y - offset[1]) + matrix[2][2] * (z - offset[2]) + this.view.zoom;
+    }
 
-    // Center graph
-    start[0] += width * 0.5;
-    start[1] = height * 0.5 - start[1];
-    end[0] += width * 0.5;
-    end[1] = height * 0.5 - end[1];
-    
-    // Draw
-    ctx.beginPath();
-    ctx.moveTo(...start);
-    ctx.lineTo(...end);
-    ctx.stroke();
-    ctx.lineWidth = originalStyle.width;
-    ctx.strokeStyle = originalStyle.color;
-    
+    /**
+     * Project a point onto the canvas. The pixel coordinates are stored in projectedX and projectedY.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     */
+    project(x, y, z) {
+        let matrix = this.view.matrix.matrix;
+        let offset = this.view.offset;
+        let zoom = this.view.zoom;
+
+        x -= offset[0];
+        y -= offset[1];
+        z -= offset[2];
+
+        let transformedX = matrix[0][0] * x + matrix[0][1] * y + matrix[0][2] * z;
+        let transformedY = matrix[1][0] * x + matrix[1][1] * y + matrix[1][2] * z;
+
+        if (this.perspective) {
+            let transformedZ = matrix[2][0] * x + matrix[2][1] * y + matrix[2][2] * z + zoom;
+            transformedX = transformedX / transformedZ * this.fovCoeff;
+            transformedY = transformedY / transformedZ * this.fovCoeff;
+        } else {
+            transformedX = transformedX / zoom * 900;
+            transformedY = transformedY / zoom * 900;
+        }
+
+        // Center graph
+        this.projectedX = transformedX + this.canvas.width * 0.5;
+        this.projectedY = this.canvas.height * 0.5 - transformedY;
+    }
+
+    /**
+     * Project a line onto the canvas, and add it to a batch unless both ends are beyond the same edge of the canvas.
+     * A line with its ends beyond different edges is kept, since it may cross the canvas.
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} z1
+     * @param {number} x2
+     * @param {number} y2
+     * @param {number} z2
+     * @param {LineStyle} lineStyle - Thickness and colour of the line. A thick line may reach into the canvas from just outside it.
+     */
+    addProjected(x1, y1, z1, x2, y2, z2, lineStyle) {
+        this.project(x1, y1, z1);
+        let startX = this.projectedX;
+        let startY = this.projectedY;
+
+        this.project(x2, y2, z2);
+        let endX = this.projectedX;
+        let endY = this.projectedY;
+
+        let margin = lineStyle.width * 0.5;
+        let right = this.canvas.width + margin;
+        let bottom = this.canvas.height + margin;
+
+        if ((startX < -margin && endX < -margin) || (startX > right && endX > right)) return;
+        if ((startY < -margin && endY < -margin) || (startY > bottom && endY > bottom)) return;
+
+        this.coordinates(lineStyle).push(startX, startY, endX, endY);
+    }
+
+    /**
+     * Add a line between two 3D points. Only the part in front of the camera is drawn.
+     * The coordinates are given one by one, so that no arrays need to be created for the points.
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} z1
+     * @param {number} x2
+     * @param {number} y2
+     * @param {number} z2
+     * @param {LineStyle} lineStyle - Thickness and colour of the line.
+     */
+    add(x1, y1, z1, x2, y2, z2, lineStyle) {
+        if (this.perspective) {
+            let depth1 = this.depth(x1, y1, z1);
+            let depth2 = this.depth(x2, y2, z2);
+
+            // If at least one of the points is behind the camera
+            if (depth1 < 0 || depth2 < 0) {
+                // Entire line is behind the camera, no need to render.
+                if (depth1 < 0 === depth2 < 0) return;
+
+                // Cut the line just in front of the camera
+                let dz = depth2 - depth1;
+                if (depth1 < 0) {
+                    let c = depth2 / Math.abs(dz);
+                    this.addProjected(x2, y2, z2, x2 - (x2 - x1) * c * 0.99, y2 - (y2 - y1) * c * 0.99, z2 - (z2 - z1) * c * 0.99, lineStyle);
+                } else {
+                    let c = depth1 / Math.abs(dz);
+                    this.addProjected(x1, y1, z1, x1 - (x1 - x2) * c * 0.99, y1 - (y1 - y2) * c * 0.99, z1 - (z1 - z2) * c * 0.99, lineStyle);
+                }
+                return;
+            }
+        }
+
+        this.addProjected(x1, y1, z1, x2, y2, z2, lineStyle);
+    }
+
+    /**
+     * Draw all the lines that have been added, and empty the batch.
+     */
+    draw() {
+        let ctx = this.canvas.getContext("2d");
+        let originalStyle = new LineStyle(ctx.lineWidth, ctx.strokeStyle);
+
+        this.runs.forEach(run => {
+            let coordinates = run.coordinates;
+            if (coordinates.length === 0) return;
+
+            ctx.lineWidth = run.style.width;
+            ctx.strokeStyle = run.style.color;
+
+            ctx.beginPath();
+            for (let i = 0; i < coordinates.length; i += 4) {
+                ctx.moveTo(coordinates[i], coordinates[i + 1]);
+                ctx.lineTo(coordinates[i + 2], coordinates[i + 3]);
+            }
+            ctx.stroke();
+        });
+
+        ctx.lineWidth = originalStyle.width;
+        ctx.strokeStyle = originalStyle.color;
+
+        this.runs = [];
+        this.lastStyle = null;
+    }
+}
+
+
+/**
+ * Draw a line on the canvas between two 3D points. Use a {@link LineBatch} when drawing many lines.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {number[]} lineStart - Vector for the start of the line.
+ * @param {number[]} lineEnd - Vector for the end of the line.
+ * @param {LineStyle} lineStyle - Thickness and colour of the line.
+ * @param {View} view - How the camera is positioned.
+ */
+function drawCanvas3d(canvas, lineStart, lineEnd, lineStyle, view) {
+    let batch = new LineBatch(canvas, view);
+    batch.add(...lineStart, ...lineEnd, lineStyle);
+    batch.draw();
 }
 
 function cssVar(name) {
@@ -300,6 +445,10 @@ function cssVar(name) {
 var functionColor = cssVar("--function-color");
 var labelBackground = cssVar("--label-bg");
 var labelColor = cssVar("--label-color");
+var pathColor = cssVar("--path-color");
+var undefinedColor = cssVar("--undefined-color");
+var constantReColor = cssVar("--constant-re-color");
+var constantImColor = cssVar("--constant-im-color");
 
 
 // 1px black
@@ -321,12 +470,14 @@ function drawAxisLines(canvas, view) {
     let height = canvas.height;
 
     // Draw lines 
-    drawCanvas3d(canvas, [-20,   0,   0], [0, 0, 0], new LineStyle(1 * pixelRatio, "#00FF00"), view);
-    drawCanvas3d(canvas, [ 20,   0,   0], [0, 0, 0], new LineStyle(2 * pixelRatio, "#00FF00"), view);
-    drawCanvas3d(canvas, [  0, -20,   0], [0, 0, 0], new LineStyle(1 * pixelRatio, "#FF0000"), view);
-    drawCanvas3d(canvas, [  0,  20,   0], [0, 0, 0], new LineStyle(2 * pixelRatio, "#FF0000"), view);
-    drawCanvas3d(canvas, [  0,   0, -20], [0, 0, 0], new LineStyle(1 * pixelRatio, "#0000FF"), view);
-    drawCanvas3d(canvas, [  0,   0,  20], [0, 0, 0], new LineStyle(2 * pixelRatio, "#0000FF"), view);
+    let lines = new LineBatch(canvas, view);
+    lines.add(-20,   0,   0, 0, 0, 0, new LineStyle(1 * pixelRatio, "#00FF00"));
+    lines.add( 20,   0,   0, 0, 0, 0, new LineStyle(2 * pixelRatio, "#00FF00"));
+    lines.add(  0, -20,   0, 0, 0, 0, new LineStyle(1 * pixelRatio, "#FF0000"));
+    lines.add(  0,  20,   0, 0, 0, 0, new LineStyle(2 * pixelRatio, "#FF0000"));
+    lines.add(  0,   0, -20, 0, 0, 0, new LineStyle(1 * pixelRatio, "#0000FF"));
+    lines.add(  0,   0,  20, 0, 0, 0, new LineStyle(2 * pixelRatio, "#0000FF"));
+    lines.draw();
 
     let ctx = canvas.getContext("2d");
     ctx.font = `${20 * pixelRatio}px sans-serif`;
@@ -355,51 +506,120 @@ function drawAxisLines(canvas, view) {
 
 
 /**
- * Draws all values for a function on the canvas
+ * Draws all values for a function on the canvas. All lines are projected first, and then drawn in the order they were
+ * added, with each run of lines with the same look as one path.
  * @param {HTMLElement} canvas - The canvas to draw on.
- * @param {number} begin - The start of the domain of the function.
- * @param {number} end - The end of the domain of the function.
- * @param {number} [step] - The distance between each sample (the resolution).
  * @param {View} view - How the camera is positioned.
+ * @param {boolean} [decimate] - Draw a lighter version while the camera is moving: only some of the samples, and
+ * without the lines from the x axis. The samples around gaps in the curves are always drawn.
  */
-function drawFunction(canvas, begin, end, step = 0.1, view) {
+function drawFunction(canvas, view, decimate = false) {
     let pixelRatio = window.devicePixelRatio;
 
+    // The largest number of samples of each curve to draw when decimating
+    let decimatedSamples = 1000;
+
     let style   = new LineStyle(1.5 * pixelRatio, functionColor);
     let reStyle = new LineStyle(0.5 * pixelRatio, "#FF4444");
     let imStyle = new LineStyle(0.5 * pixelRatio, "#4444FF");
-    
-    let lastValue = resultList[0];
-    for (let j = 0; j < lastValue.length; j++) {
-        // Real component line
-        drawCanvas3d(canvas, [begin, 0, 0], [begin, lastValue[j].re, 0], reStyle, view);
-        // Imaginary component line
-        drawCanvas3d(canvas, [begin, 0, 0], [begin, 0, lastValue[j].im], imStyle, view);
-    }
-    
-    // All values for the function are precalculated when the function updates, and stored in the resultList array.
-    for (let i = 1; i <= (end - begin) / step; i++) {
-        let x = i * step + begin
-        
-        //let result = func(new Complex(x, 0));
-        let result = resultList[i];
 
-        // Each element in the result (for when there are several functions)
-        for (let j = 0; j < result.length; j++) {
+    // All values for the function are precalculated when the function updates, and stored in the resultList buffers.
+    let samples = resultList;
+    let xs = samples.x;
+
+    // Every stride:th sample is drawn
+    let stride = (decimate) ? Math.max(1, Math.ceil(samples.length / decimatedSamples)) : 1;
+
+    let lines = new LineBatch(canvas, view);
+
+    // Each function (for when there are several functions)
+    for (let j = 0; j < samples.functions; j++) {
+        let re = samples.re[j];
+        let im = samples.im[j];
+        let breaks = samples.breaks[j];
+
+        // A sample is at a gap if it is undefined, or the curve is broken or undefined right before or after it
+        let atGap = i => breaks[i] || !samples.isFinite(i, j)
+            || (i > 0 && !samples.isFinite(i - 1, j))
+            || (i + 1 < samples.length && (breaks[i + 1] || !samples.isFinite(i + 1, j)));
+
+        // The last sample that was drawn
+        let last = -1;
+
+        for (let i = 0; i < samples.length; i++) {
+            if (stride > 1 && i % stride !== 0 && i !== samples.length - 1 && !atGap(i)) continue;
+
+            let x = xs[i];
+            let previous = last;
+            last = i;
+
+            // Undefined values (NaN or infinity) leave a gap in the curve, and are marked on the x axis.
+            // The lines added so far are drawn first, so that the marker is on top of them and under the lines after it.
+            if (!samples.isFinite(i, j)) {
+                lines.draw();
+                drawUndefinedMarker(canvas, x, view);
+                continue;
+            }
+
+            if (samples.grid[i] && !decimate) {
+                lines.add(x, 0, 0, x, re[i], 0, reStyle); // Vertical re lines
+                lines.add(x, 0, 0, x, 0, im[i], imStyle); // Horizontal im lines
+            }
+
+            // The curve is broken at jumps, e.g. poles and branch cuts
+            if (previous === -1 || breaks[i] || !samples.isFinite(previous, j)) continue;
+
+            let lastX = xs[previous];
+
             // Function line
-            drawCanvas3d(canvas, [x - step, lastValue[j].re, lastValue[j].im], [x, result[j].re, result[j].im], style, view);
-            
+            lines.add(lastX, re[previous], im[previous], x, re[i], im[i], style);
+
             // Real component line
-            drawCanvas3d(canvas, [x, 0, 0], [x, result[j].re, 0], reStyle, view); // Vertical re lines
-            drawCanvas3d(canvas, [x - step, lastValue[j].re, 0], [x, result[j].re, 0], reStyle, view);
-    
+            lines.add(lastX, re[previous], 0, x, re[i], 0, reStyle);
+
             // Imaginary component line
-            drawCanvas3d(canvas, [x, 0, 0], [x, 0, result[j].im], imStyle, view); // Horizontal im lines
-            drawCanvas3d(canvas, [x - step, 0, lastValue[j].im], [x, 0, result[j].im], imStyle, view);
+            lines.add(lastX, 0, im[previous], x, 0, im[i], imStyle);
+        }
+    }
+
+    // Input path overlay
+    if (pathText !== "") {
+        let pathStyle = new LineStyle(1 * pixelRatio, pathColor);
+        let previous = 0;
+        for (let i = 1; i < samples.length; i++) {
+            if (i % stride !== 0 && i !== samples.length - 1) continue;
+            lines.add(xs[previous], samples.inputRe[previous], samples.inputIm[previous], xs[i], samples.inputRe[i], samples.inputIm[i], pathStyle);
+            previous = i;
         }
-        
-        lastValue = result;
     }
+
+    lines.draw();
+}
+
+/**
+ * Draw a small ring on the x axis, marking a value of x where the function is undefined.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {number} x - The value of x.
+ * @param {View} view - How the camera is positioned.
+ */
+function drawUndefinedMarker(canvas, x, view) {
+    // Check if the point is in front of the camera
+    if (view.projection === "perspective" && view.matrix.transformVector(Vector.subtraction([x, 0, 0], view.offset))[2] + view.zoom <= 0) return;
+
+    let pixelRatio = window.devicePixelRatio;
+    let ctx = canvas.getContext("2d");
+    let point = view.projectVector([x, 0, 0]);
+
+    let originalStyle = new LineStyle(ctx.lineWidth, ctx.strokeStyle);
+    ctx.lineWidth = 1 * pixelRatio;
+    ctx.strokeStyle = undefinedColor;
+
+    ctx.beginPath();
+    ctx.arc(point[0] + canvas.width * 0.5, canvas.height * 0.5 - point[1], 3 * pixelRatio, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    ctx.lineWidth = originalStyle.width;
+    ctx.strokeStyle = originalStyle.color;
 }
 
 /**
@@ -416,11 +636,17 @@ function drawLabel(canvas, view) {
     let ctx = canvas.getContext("2d");
     
     if (functionText.length > 0) {
-        userFunction(tracingPoint).forEach((tracingResult) => {
+        let input = inputPath(tracingPoint);
+
+        traceValues(tracingPoint).forEach((tracingResult) => {
             if (tracingResult.constructor !== Complex) tracingResult = new Complex(tracingResult);
 
-            if (view.projection === "orthogonal" || view.matrix.transformVector([tracingPoint, tracingResult.re, tracingResult.im])[2] + view.zoom > 0) {
-                let tracing = view.projectVector([tracingPoint, tracingResult.re, tracingResult.im]);
+            // Undefined values are labeled on the x axis
+            let position = [tracingPoint, tracingResult.re, tracingResult.im];
+            if (!Complex.isFinite(tracingResult)) position = [tracingPoint, 0, 0];
+
+            if (view.projection === "orthogonal" || view.matrix.transformVector(position)[2] + view.zoom > 0) {
+                let tracing = view.projectVector(position);
 
                 originalFill = ctx.fillStyle;
 
@@ -431,12 +657,24 @@ function drawLabel(canvas, view) {
 
                 ctx.font = `${14 * pixelRatio}px sans-serif`;
 
-                let line1 = `x = ${Math.round(tracingPoint * 100) / 100}`;
-                let line2 = `z = ${tracingResult.print(2)}`;
+                let lines;
+                if (pathText === "") {
+                    lines = [
+                        `x = ${Math.round(tracingPoint * 100) / 100}`,
+                        `z = ${tracingResult.print(2)}`
+                    ];
+                } else {
+                    lines = [
+                        `t = ${Math.round(tracingPoint * 100) / 100}`,
+                        `x = ${input.print(2)}`,
+                        `z = ${tracingResult.print(2)}`
+                    ];
+                }
 
-                let labelWidth = Math.max(ctx.measureText(line1).width, ctx.measureText(line2).width);
+                let labelWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+                let labelHeight = (lines.length * 18 + 4) * pixelRatio;
 
-                ctx.fillRect(pointX + 10 * pixelRatio, pointY - 20 * pixelRatio, 10 * pixelRatio + labelWidth, 40 * pixelRatio);
+                ctx.fillRect(pointX + 10 * pixelRatio, pointY - labelHeight * 0.5, 10 * pixelRatio + labelWidth, labelHeight);
                 ctx.beginPath();
                 ctx.moveTo(pointX, pointY);
                 ctx.lineTo(pointX + 10 * pixelRatio, pointY - 5 * pixelRatio);
@@ -447,8 +685,9 @@ function drawLabel(canvas, view) {
 
 
                 ctx.fillStyle = labelColor;
-                ctx.fillText(line1, pointX + 15 * pixelRatio, pointY -  4 * pixelRatio);
-                ctx.fillText(line2, pointX + 15 * pixelRatio, pointY + 14 * pixelRatio);
+                lines.forEach((line, i) => {
+                    ctx.fillText(line, pointX + 15 * pixelRatio, pointY - labelHeight * 0.5 + (i * 18 + 16) * pixelRatio);
+                });
                 ctx.fillStyle = originalFill;
             }
         });
@@ -466,8 +705,26 @@ var zOffset = document.getElementById("z-offset");
 
 var view = new View(40, 30, [xOffset.value, yOffset.value, zOffset.value].map(x => Number(x)), 5);
 
-// Contains all the values for the result of the function(s)
-var resultList = [];
+// Contains all the samples of the function(s) in curve mode
+var resultList = new SampleBuffer(0);
+
+// Contains the input value z(t) for each sample, used to draw the input path in domain coloring mode.
+var pathList = [];
+
+// Either "curve", "domain", "surface", "riemann" or "conformal".
+var plotMode = "curve";
+
+// The domain coloring image, used when plotMode is "domain".
+var domainImage = null;
+
+// The modulus surface, used when plotMode is "surface".
+var surfaceValues = null;
+
+// The sheets of the Riemann surface, used when plotMode is "riemann".
+var riemannSurface = null;
+
+// The images of the grid lines, used when plotMode is "conformal".
+var conformalGrid = null;
 
 /**
  * Update the view and canvas when an offset is changed.
@@ -484,6 +741,26 @@ zOffset.oninput = updateView;
 
 let updateRequested = false;
 
+// Whether the camera is being moved, e.g. rotated by dragging, in which case the curves are drawn with less detail.
+let cameraMoving = false;
+let cameraStillTimeout = null;
+
+/**
+ * Note that the camera has moved, so that the canvas is drawn with less detail until the camera has been still for a
+ * short time, and is then drawn again with full detail. Called before updating the canvas when the user drags or zooms.
+ */
+function cameraMoved() {
+    // How long the camera must be still before it is drawn with full detail, in ms
+    let stillTime = 200;
+
+    cameraMoving = true;
+    clearTimeout(cameraStillTimeout);
+    cameraStillTimeout = setTimeout(() => {
+        cameraMoving = false;
+        updateCanvas();
+    }, stillTime);
+}
+
 
 /**
  * Update the canvas and redraw the axis lines and function lines. Normally called when the view is changed.
@@ -493,16 +770,37 @@ function updateCanvas() {
         updateRequested = true;
         window.requestAnimationFrame(() => {
             mainCanvas.getContext("2d").clearRect(0, 0, mainCanvas.width, mainCanvas.height);
-            
-            // Start and end of the function
-            let minX = document.getElementById("minX").value;
-            let maxX = document.getElementById("maxX").value;
-    
-            let resolution = Math.abs(document.getElementById("resolution").value);
-            if (resolution === 0) resolution = 0.05; // Resolution cannot be 0, leads to ZeroDivisionError
-    
+
+            if (plotMode === "domain") {
+                if (domainImage !== null) {
+                    drawDomainColoring(mainCanvas, domainImage);
+                    if (pathText !== "") drawDomainPath(mainCanvas, domainImage.region, pathList);
+                }
+                updateRequested = false;
+                return;
+            }
+
             drawAxisLines(mainCanvas, view);
-            drawFunction(mainCanvas, Math.min(minX, maxX), Math.max(minX, maxX), resolution, view);
+
+            if (plotMode === "surface") {
+                if (surfaceValues !== null) drawSurface(mainCanvas, surfaceValues, view);
+                updateRequested = false;
+                return;
+            }
+
+            if (plotMode === "riemann") {
+                if (riemannSurface !== null) drawRiemannSurface(mainCanvas, riemannSurface, view);
+                updateRequested = false;
+                return;
+            }
+
+            if (plotMode === "conformal") {
+                if (conformalGrid !== null) drawConformalGrid(mainCanvas, conformalGrid, view);
+                updateRequested = false;
+                return;
+            }
+
+            drawFunction(mainCanvas, view, cameraMoving);
             drawLabel(mainCanvas, view);
 
             updateRequested = false;
@@ -512,21 +810,173 @@ function updateCanvas() {
 
 
 /**
- * Update the values in resultList by calling func for each value of x.
- * @param {function} func - The function to call.
+ * Get the region of the complex plane used as input when plotting over the complex plane.
+ * The real part uses the same range as the graph, and the imaginary part has its own range.
+ * @returns {Region}
+ */
+function getInputRegion() {
+    let minRe = Number(document.getElementById("minX").value);
+    let maxRe = Number(document.getElementById("maxX").value);
+    let minIm = Number(document.getElementById("minIm").value);
+    let maxIm = Number(document.getElementById("maxIm").value);
+
+    return {
+        minRe: Math.min(minRe, maxRe),
+        maxRe: Math.max(minRe, maxRe),
+        minIm: Math.min(minIm, maxIm),
+        maxIm: Math.max(minIm, maxIm)
+    };
+}
+
+
+/**
+ * Read the settings that decide which function values are calculated.
+ * @returns {SamplingSettings}
+ */
+function getSamplingSettings() {
+    return {
+        mode: plotMode,
+        begin: Number(document.getElementById("minX").value),
+        end: Number(document.getElementById("maxX").value),
+        step: Math.abs(document.getElementById("resolution").value),
+        adaptive: document.getElementById("adaptive").checked,
+        continueBranches: document.getElementById("continue-branches").checked,
+        region: getInputRegion(),
+        size: Number(document.getElementById("grid-size").value),
+        sheets: Number(document.getElementById("sheets").value)
+    };
+}
+
+/**
+ * Calculate the function values of the plot mode. When there is an evaluation worker the values are calculated there,
+ * any older calculation is cancelled, and the canvas keeps showing the last values until the new ones are ready.
+ * Otherwise the values are calculated right away.
+ */
+function updateFunctionValues() {
+    let settings = getSamplingSettings();
+
+    // Running integrals start where the plot starts, also when tracing the function
+    sampler.startIntegrals(settings.begin);
+
+    if (evaluationWorker === null) {
+        setFunctionValues(settings, finishSampling(sampler.sample(settings)));
+        return;
+    }
+
+    latestEvaluation++;
+    pendingSettings = settings;
+    pendingValues = null;
+
+    evaluationWorker.postMessage({
+        id: latestEvaluation,
+        functionText: functionText,
+        pathText: pathText,
+        variables: variableList.map(variable => ({name: variable.name, value: variable.value})),
+        settings: settings
+    });
+}
+
+/**
+ * Use new function values, i.e. update resultList, domainImage, surfaceValues, riemannSurface or conformalGrid
+ * depending on the plot mode the values were calculated for.
+ * @param {SamplingSettings} settings - The settings the values were calculated with.
+ * @param {SampleBuffer|DomainImage|Surface|RiemannSurface|ConformalGrid} values
+ */
+function setFunctionValues(settings, values) {
+    if (settings.mode === "domain") {
+        domainImage = values;
+        pathList = samplePath(settings.begin, settings.end, samplingStep(settings.step));
+        return;
+    }
+
+    if (settings.mode === "surface") {
+        surfaceValues = values;
+        return;
+    }
+
+    if (settings.mode === "riemann") {
+        riemannSurface = values;
+        return;
+    }
+
+    if (settings.mode === "conformal") {
+        conformalGrid = values;
+        return;
+    }
+
+    resultList = values;
+    continueBranches = settings.continueBranches;
+}
+
+/**
+ * Handle a message from the evaluation worker. Messages about older calculations are ignored, since they are cancelled.
+ * @param {MessageEvent} event
  */
-function updateFunctionValues(func) {
-    let begin = Number(document.getElementById("minX").value);
-    let end = Number(document.getElementById("maxX").value);
-    let step = Math.abs(document.getElementById("resolution").value);
+function receiveFunctionValues(event) {
+    let message = event.data;
+    if (message.id !== latestEvaluation) return;
+
+    let progressElement = document.getElementById("evaluation-progress");
+
+    if (message.type === "chunk") {
+        pendingValues = addChunk(pendingValues, message.chunk);
+        return;
+    }
+
+    if (message.type === "progress") {
+        progressElement.textContent = `Calculating... ${Math.floor(message.progress * 100)}%`;
+        return;
+    }
 
-    resultList = [];
+    progressElement.textContent = "";
 
+    // The calculation failed, and the canvas keeps showing the last values
+    if (message.type === "error") {
+        pendingSettings = null;
+        pendingValues = null;
+        let errorElement = document.getElementById("function-errors");
+        if (evaluationErrorItem === null || evaluationErrorItem.parentNode !== errorElement) {
+            evaluationErrorItem = errorElement.appendChild(document.createElement("li"));
+        }
+        evaluationErrorItem.textContent = message.message;
+        return;
+    }
+
+    if (evaluationErrorItem !== null) {
+        evaluationErrorItem.remove();
+        evaluationErrorItem = null;
+    }
+
+    setFunctionValues(pendingSettings, (message.result === null) ? pendingValues : restoreComplex(message.result));
+    pendingValues = null;
+    updateCanvas();
+}
+
+/**
+ * Get the values of the function(s) at a point of the curve plot. When the curves are continued across branch cuts,
+ * the values of the closest sample are used, since the branch depends on the path to the point.
+ * @param {number} t - The value on the x axis.
+ * @returns {Complex[]}
+ */
+function traceValues(t) {
+    if (!continueBranches || resultList.length === 0) return userFunction(inputPath(t));
+    return resultList.values(resultList.closest(t));
+}
+
+/**
+ * Calculate the input path z(t) for each value of t.
+ * @param {number} begin - The first value of t.
+ * @param {number} end - The last value of t.
+ * @param {number} step - The distance between each value of t.
+ * @returns {Complex[]}
+ */
+function samplePath(begin, end, step) {
+    let path = [];
     for (let i = 0; i <= (end - begin) / step; i++) {
-        let x = i * step + begin
-        let result = func(new Complex(x, 0));
-        resultList.push(result);
+        let t = i * step + begin
+        path.push(inputPath(t));
     }
+    return path;
 }
 
 
@@ -549,129 +999,136 @@ let variableList = [
 
 ];
 
-// Gets the index of a variable in variableList.
-// Returns -1 if it doesn't exist.
-function getVariableIndex(name) {
-    for (let i = 0; i < variableList.length; i++) {
-        if (variableList[i].name === name) return i;
-    }
-    return -1;
-}
+let functionText = "";
+
+// The input path z(t), empty when the input is the real axis.
+let pathText = "";
+
+// The function and the input path compiled into evaluators. Compiled again when the text or the variables change.
+let sampler = new FunctionSampler("", "", variableList);
+
+// Whether the samples in resultList were continued across branch cuts.
+let continueBranches = false;
 
 /**
- * Convert a complex number string e.g. "4" or "3i" into a Complex object.
- * @param {string} num 
- * @returns {Complex}
+ * Compile the function and the input path again, e.g. after a variable has been added, renamed or deleted.
  */
-function parseNumber(num) {
-    if (num[num.length - 1] !== "i") {
-        return new Complex(num);
-    } else {
-        if (num === "i") num = "1i";
-        return new Complex(0, num.substring(0, num.length - 1));
-    }
+function compileFunction() {
+    sampler = new FunctionSampler(functionText, pathText, variableList);
 }
 
 
-let functionText = "";
+// The worker that calculates the function values, or null if workers can't be used, e.g. when the page is opened as a
+// file in some browsers. Then the values are calculated on the main thread.
+let evaluationWorker = null;
+try {
+    evaluationWorker = new Worker("evaluation-worker.js");
+    evaluationWorker.onmessage = receiveFunctionValues;
+    evaluationWorker.onerror = () => {
+        evaluationWorker.terminate();
+        evaluationWorker = null;
+        document.getElementById("evaluation-progress").textContent = "";
+        updateFunctionValues();
+        updateCanvas();
+    };
+} catch (error) {
+    evaluationWorker = null;
+}
+
+// The id of the newest calculation sent to the worker.
+let latestEvaluation = 0;
+
+// The settings of the newest calculation, and its values so far when they are sent in chunks.
+let pendingSettings = null;
+let pendingValues = null;
+
+// The error of the last failed calculation in the error list, which is replaced by the next error
+let evaluationErrorItem = null;
 
 
 /**
  * Updates the function values and the canvas, and is normally called when the user clicks the "set function" button.
  */
 function updateFunction() {
-    functionText = document.getElementById("function").value;
-    updateFunctionValues(userFunction);
+    let newFunctionText = document.getElementById("function").value;
+    let newPathText = document.getElementById("input-path").value.trim();
+    if (newPathText === "t") newPathText = "";
+
+    // Keep showing the last valid function while the text has errors
+    if (!showFunctionErrors()) return;
+
+    functionText = newFunctionText;
+    pathText = newPathText;
+    compileFunction();
+    updateFunctionValues();
     updateCanvas();
 }
 
-// The symbols for the available functions.
-let operations = {
-    "+": {args: 2, function: Complex.add},
-    "-": {args: 2, function: Complex.subtract},
-    "*": {args: 2, function: Complex.multiply},
-    "/": {args: 2, function: Complex.divide},
-    "^": {args: 2, function: Complex.raise},
-    "ln": {args: 1, function: Complex.ln},
-    "abs": {args: 1, function: Complex.abs},
-    "sin": {args: 1, function: Complex.sin},
-    "cos": {args: 1, function: Complex.cos},
-    "tan": {args: 1, function: Complex.tan},
-    "asin": {args: 1, function: Complex.asin},
-    "acos": {args: 1, function: Complex.acos},
-    "atan": {args: 1, function: Complex.atan}
-};
-
 /**
- * Interprets the function the user has entered and runs it.
- * @param {number} num - The x variable of the function the user entered.
- * @returns {number} The result of running the function the user entered with the given x-value.
+ * Check the function and the input path for errors, and show them below the function editor.
+ * @returns {boolean} True if there are no errors.
  */
-function userFunction(num) {
+function showFunctionErrors() {
+    let errors = new CompiledFunction(document.getElementById("function").value, "x", variableList).errors;
+    let pathErrors = new CompiledFunction(document.getElementById("input-path").value, "t", variableList).errors;
 
-    // Variables assigned using equals symbol, calculated by the function (e.g. =var1)
-    let calculatedVars = {};
+    let errorElement = document.getElementById("function-errors");
+    errorElement.innerHTML = "";
 
+    errors.forEach((error) => {
+        let item = errorElement.appendChild(document.createElement("li"));
+        item.textContent = `Line ${error.line}, column ${error.column}: ${error.message}`;
+    });
+    pathErrors.forEach((error) => {
+        let item = errorElement.appendChild(document.createElement("li"));
+        item.textContent = `Input path, column ${error.column}: ${error.message}`;
+    });
 
-    let functionList = [];
+    return errors.length === 0 && pathErrors.length === 0;
+}
 
+/**
+ * Add the derivative of the last function in the function editor as a new line, and plot it.
+ */
+function showDerivative() {
+    if (!showFunctionErrors()) return;
+
+    let editor = document.getElementById("function");
+    let func = new CompiledFunction(editor.value, "x", variableList);
+    if (func.outputs.length === 0) return;
+
+    let derivative;
+    try {
+        derivative = derivativeText(func);
+    } catch (error) {
+        if (!(error instanceof ExpressionError)) throw error;
+        let item = document.getElementById("function-errors").appendChild(document.createElement("li"));
+        item.textContent = `Line ${error.line}, column ${error.column}: ${error.message}`;
+        return;
+    }
 
-    let lines = functionText.split("\n").filter(line => line.trim() !== "");
-    lines.forEach((line) => {
-        if ("=#".includes(line[0])) {
-            functionList.push(line);
-        } else {
-            ExpressionParser.parseExpression(line).forEach((token) => {
-                functionList.push(token);
-            });
-        }
-    });
-    
+    editor.value = editor.value.trimEnd() + "\n" + derivative;
+    updateFunction();
+}
 
-    // Stack of all the values the function has calculated.
-    // Read more here: https://en.wikipedia.org/wiki/Reverse_Polish_notation
-    let functionStack = [];
-    
-    // For each line in the function
-    for (let i = 0; i < functionList.length; i++) {
-        let line = functionList[i].trim();
-
-        // Check if line is x
-        if (line === "x") {
-            functionStack.push(num);
-        // Check if line should be interpreted or if it is commented out or empty
-        } else if (line !== "" && line[0] !== "#") {
-            let variableIndex = getVariableIndex(line);
-            let isCalculatedVariable = line in calculatedVars;
-            
-            if (line[0] === "=") {
-                // Store last element in the stack as a variable
-                calculatedVars[line.substring(1).trim()] = functionStack.pop();
-
-            } else if (operations.hasOwnProperty(line)) {
-                // Line is an operation
-                let operation = operations[line];
-                let values = functionStack.slice(functionStack.length - operation.args);
-                let value = operation.function.apply(this, values);
-                functionStack.length -= operation.args;
-                functionStack.push(value);
-                
-            } else if (variableIndex !== -1) {
-                // Line is a user defined variable
-                functionStack.push(variableList[variableIndex].value);
-            
-            } else if (isCalculatedVariable) {
-                // Line is a calculated variable
-                functionStack.push(calculatedVars[line.trim()]);
-            } else {
-                // Line is a number/constant
-                functionStack.push(parseNumber(line));
-            }
-        }    
-    }
-    return functionStack;
+/**
+ * Runs the function the user has entered.
+ * @param {number|Complex} num - The x variable of the function the user entered.
+ * @returns {Complex[]} The result of running the function the user entered with the given x-value.
+ */
+function userFunction(num) {
+    return sampler.function.evaluate(num);
 }
 
+/**
+ * Get the input value of the function for a given value of t, i.e. a point on the input path z(t).
+ * Without an input path, the input is the real number t.
+ * @param {number} t
+ * @returns {Complex}
+ */
+function inputPath(t) {
+    return sampler.inputPath(t);
+}
 
 let addVarElementBtn = document.getElementById("addVariableElement");
 
@@ -842,7 +1299,7 @@ function variableListToHTML() {
                 
                 // Round slightly
                 parent.children[5].innerHTML = Number((value + 1E-15).toFixed(13));
-                updateFunctionValues(userFunction);
+                updateFunctionValues();
                 updateCanvas();
 
             };
@@ -858,7 +1315,9 @@ function variableListToHTML() {
             updateVariableType(event);
         });
     });
-    updateFunctionValues(userFunction);
+    showFunctionErrors();
+    compileFunction();
+    updateFunctionValues();
     updateCanvas();
 }
 
@@ -871,6 +1330,7 @@ mainCanvas.addEventListener("wheel", function(event) {
     event.preventDefault(); // Prevent scrolling
     view.zoom *= Math.pow(10, event.deltaY * 0.001);
     
+    cameraMoved();
     updateCanvas();
     
 });
@@ -951,6 +1411,7 @@ function rotateGraph(event) {
     function mousemove(event) {
         view.longitude = originalLongitude - (event.offsetX - originalX) * 0.5;
         view.latitude = originalLatitude + (event.offsetY - originalY) * 0.5;
+        cameraMoved();
         updateCanvas();
     }
 
@@ -1034,6 +1495,7 @@ function moveGraph(event) {
         yOffset.value -= projected[1];
         zOffset.value -= projected[2];
         
+        cameraMoved();
         updateView();
     }
 
@@ -1263,6 +1725,17 @@ document.getElementById("projection").addEventListener("change", function(event)
     updateCanvas();
 });
 
+// Check the function for errors while the user is typing
+document.getElementById("function").addEventListener("input", showFunctionErrors);
+document.getElementById("input-path").addEventListener("input", showFunctionErrors);
+
+// Plot mode dropdown event listener
+document.getElementById("plot-mode").addEventListener("change", function(event) {
+    plotMode = event.target.value;
+    updateFunctionValues();
+    updateCanvas();
+});
+
 document.addEventListener("keydown", (event) => {
     if (event.code === "KeyQ" && event.ctrlKey) {
         view.snapAngle();
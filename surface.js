@@ -0,0 +1,102 @@
+/**
+ * @file The modulus surface of a complex function, drawn as a height field over the complex plane.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+/**
+ * Holds the values of a function on a grid over the complex plane.
+ * @typedef {Object} Surface
+ * @property {number} size - Number of samples along each side of the grid.
+ * @property {Complex[][]} values - The results of the function, values[row][column], where rows go along the imaginary axis.
+ * @property {Region} region - The part of the complex plane the grid covers.
+ */
+
+
+/**
+ * Calculate the values of a function on a grid over the complex plane.
+ * @param {function} func - The function to calculate. Called with a Complex and returns an array of results, where the first one is used.
+ * @param {Region} region - The part of the complex plane to calculate.
+ * @param {number} size - Number of samples along each side of the grid.
+ * @yields {Object} The progress as {progress}, between 0 and 1, after each row.
+ * @returns {Surface}
+ */
+function* sampleSurface(func, region, size) {
+    size = Math.max(2, Math.round(size));
+    let values = [];
+
+    for (let row = 0; row < size; row++) {
+        let im = region.minIm + row / (size - 1) * (region.maxIm - region.minIm);
+        values.push([]);
+
+        for (let column = 0; column < size; column++) {
+            let re = region.minRe + column / (size - 1) * (region.maxRe - region.minRe);
+
+            let result = func(new Complex(re, im))[0];
+            if (result === undefined) result = new Complex(NaN, NaN);
+            if (result.constructor !== Complex) result = new Complex(result);
+
+            values[row].push(result);
+        }
+
+        yield {progress: (row + 1) / size};
+    }
+
+    return {
+        size: size,
+        values: values,
+        region: region
+    };
+}
+
+/**
+ * Get the colour of a surface line based on the argument of the function value.
+ * @param {Complex} value
+ * @returns {string} Colour in hex e.g. "#F9DA2C".
+ */
+function argumentColor(value) {
+    let rgb = hslToRgb(Complex.toPolar(value).theta / (2 * Math.PI), 1, 0.5);
+    return "#" + rgb.map(c => c.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Draw the modulus surface of a function. The x axis is the real part of the input, the z axis the imaginary part
+ * and the height is the absolute value of the result. The lines are coloured by the argument of the result.
+ * @param {HTMLElement} canvas - The canvas to draw on.
+ * @param {Surface} surface - The values to draw.
+ * @param {View} view - How the camera is positioned.
+ */
+function drawSurface(canvas, surface, view) {
+    let pixelRatio = window.devicePixelRatio;
+    let region = surface.region;
+    let size = surface.size;
+
+    // 3D position of each grid point
+    let points = surface.values.map((rowValues, row) => rowValues.map((value, column) => {
+        let re = region.minRe + column / (size - 1) * (region.maxRe - region.minRe);
+        let im = region.minIm + row / (size - 1) * (region.maxIm - region.minIm);
+        return [re, Complex.abs(value).re, im];
+    }));
+
+    let lines = new LineBatch(canvas, view);
+
+    // Add a line between two grid points, unless one of them is undefined
+    function addLine(row1, column1, row2, column2) {
+        let start = points[row1][column1];
+        let end = points[row2][column2];
+        if (!isFinite(start[1]) || !isFinite(end[1])) return;
+
+        let style = new LineStyle(1 * pixelRatio, argumentColor(surface.values[row1][column1]));
+        lines.add(...start, ...end, style);
+    }
+
+    for (let row = 0; row < size; row++) {
+        for (let column = 0; column < size; column++) {
+            if (column > 0) addLine(row, column - 1, row, column);
+            if (row > 0) addLine(row - 1, column, row, column);
+        }
+    }
+
+    lines.draw();
+}
@@ -0,0 +1,448 @@
+/**
+ * @file Symbolic differentiation and simplification of expression trees, and conversion of them back to text.
+ *
+ * @copyright Oscar Litorell 2019
+ */
+
+
+// How strongly each operation binds when written as text, used to decide where parentheses are needed.
+let textPrecedence = {
+    "+": 2,
+    "-": 2,
+    "*": 3,
+    "/": 3,
+    "neg": 4,
+    "^": 5
+};
+
+
+/**
+ * Create an operation node.
+ * @param {string} name - The name of the operation, e.g. "+" or "sin".
+ * @param {...ExpressionNode} args - The arguments of the operation.
+ * @returns {ExpressionNode}
+ */
+function operationNode(name, ...args) {
+    return {type: "operation", name: name, args: args};
+}
+
+/**
+ * Create a number node.
+ * @param {number|Complex} value
+ * @returns {ExpressionNode}
+ */
+function numberNode(value) {
+    if (value.constructor !== Complex) value = new Complex(value);
+    return {type: "number", value: value};
+}
+
+/**
+ * Check if a node is a given real number.
+ * @param {ExpressionNode} node
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isNumberNode(node, value) {
+    return node.type === "number" && node.value.re === value && node.value.im === 0;
+}
+
+/**
+ * Check if two expression trees are written the same way.
+ * @param {ExpressionNode} a
+ * @param {ExpressionNode} b
+ * @returns {boolean}
+ */
+function sameNode(a, b) {
+    if (a.type !== b.type) return false;
+    if (a.type === "number") return a.value.re === b.value.re && a.value.im === b.value.im;
+    if (a.type === "name") return a.name === b.name;
+    if (a.type === "operation") return a.name === b.name && a.args.length === b.args.length && a.args.every((arg, i) => sameNode(arg, b.args[i]));
+    return false;
+}
+
+/**
+ * Replace the calculated variables (e.g. =a) and the calls of defined functions in an expression tree with the
+ * expressions they stand for, so that the tree only contains numbers, names and operations.
+ * @param {ExpressionNode} node
+ * @param {CompiledFunction} func - The function the tree belongs to.
+ * @param {ExpressionNode[]} [args] - The arguments of the defined function the node is a part of.
+ * @param {number} [depth] - The number of nested calls of defined functions.
+ * @returns {ExpressionNode}
+ * @throws {ExpressionError} If a defined function calls itself too many times.
+ */
+function expandNode(node, func, args = [], depth = 0) {
+    switch (node.type) {
+        case "parameter":
+            return args[node.index];
+
+        case "name": {
+            // Names are resolved in the same order as when compiling, see CompiledFunction.compileNode
+            let isVariable = func.variables.some(variable => variable.name === node.name);
+            if (node.slot === null || node.name === func.inputName || isVariable) return node;
+            let assignment = func.assignments.find(assignment => assignment.slot === node.slot);
+            return expandNode(assignment.node, func, args, depth);
+        }
+
+        case "call": {
+            if (depth >= maxCallDepth) {
+                throw new ExpressionError(`More than ${maxCallDepth} nested calls of "${node.name}"`, node.column, node.line);
+            }
+            let definition = func.functions[node.name];
+            let callArgs = node.args.map(arg => expandNode(arg, func, args, depth));
+            return expandNode(definition.node, func, callArgs, depth + 1);
+        }
+
+        case "operation":
+            return {...node, args: node.args.map(arg => expandNode(arg, func, args, depth))};
+
+        default:
+            return node;
+    }
+}
+
+/**
+ * Check if an expression tree depends on a variable.
+ * @param {ExpressionNode} node
+ * @param {string} variable - The name of the variable.
+ * @returns {boolean}
+ */
+function dependsOn(node, variable) {
+    if (node.type === "name") return node.name === variable;
+    if (node.type === "operation") return node.args.some(arg => dependsOn(arg, variable));
+    return false;
+}
+
+/**
+ * Differentiate an expression tree symbolically. The tree should be expanded first, see {@link expandNode}.
+ * @param {ExpressionNode} node
+ * @param {string} variable - The name of the variable to differentiate with respect to, e.g. "x".
+ * @returns {ExpressionNode} The derivative, which isn't simplified.
+ * @throws {ExpressionError} If the tree contains an operation without a differentiation rule, e.g. abs.
+ */
+function differentiate(node, variable) {
+    if (!dependsOn(node, variable)) return numberNode(0);
+    if (node.type === "name") return numberNode(1);
+
+    let [u, v] = node.args;
+    let du = () => differentiate(u, variable);
+    let dv = () => differentiate(v, variable);
+
+    switch (node.name) {
+        case "+":
+        case "-":
+            return operationNode(node.name, du(), dv());
+        case "neg":
+            return operationNode("neg", du());
+        case "*":
+            return operationNode("+", operationNode("*", du(), v), operationNode("*", u, dv()));
+        case "/":
+            return operationNode("/",
+                operationNode("-", operationNode("*", du(), v), operationNode("*", u, dv())),
+                operationNode("^", v, numberNode(2)));
+        case "^":
+            if (!dependsOn(v, variable)) {
+                // (u^n)' = n * u^(n - 1) * u'
+                return operationNode("*", operationNode("*", v, operationNode("^", u, operationNode("-", v, numberNode(1)))), du());
+            }
+            if (!dependsOn(u, variable)) {
+                // (a^v)' = a^v * ln(a) * v'
+                return operationNode("*", operationNode("*", node, operationNode("ln", u)), dv());
+            }
+            // (u^v)' = u^v * (v' * ln(u) + v * u' / u)
+            return operationNode("*", node, operationNode("+",
+                operationNode("*", dv(), operationNode("ln", u)),
+                operationNode("/", operationNode("*", v, du()), u)));
+        case "ln":
+            return operationNode("/", du(), u);
+        case "sin":
+            return operationNode("*", operationNode("cos", u), du());
+        case "cos":
+            return operationNode("*", operationNode("neg", operationNode("sin", u)), du());
+        case "tan":
+            return operationNode("/", du(), operationNode("^", operationNode("cos", u), numberNode(2)));
+        case "asin":
+            return operationNode("/", du(), operationNode("^", operationNode("-", numberNode(1), operationNode("^", u, numberNode(2))), numberNode(0.5)));
+        case "acos":
+            return operationNode("neg", operationNode("/", du(), operationNode("^", operationNode("-", numberNode(1), operationNode("^", u, numberNode(2))), numberNode(0.5))));
+        case "atan":
+            return operationNode("/", du(), operationNode("+", numberNode(1), operationNode("^", u, numberNode(2))));
+        case "exp":
+            return operationNode("*", operationNode("exp", u), du());
+        case "sqrt":
+            return operationNode("/", du(), operationNode("*", numberNode(2), operationNode("sqrt", u)));
+        case "log10":
+        case "log2":
+            return operationNode("/", du(), operationNode("*", u, operationNode("ln", numberNode((node.name === "log10") ? 10 : 2))));
+        case "sinh":
+            return operationNode("*", operationNode("cosh", u), du());
+        case "cosh":
+            return operationNode("*", operationNode("sinh", u), du());
+        case "tanh":
+            return operationNode("/", du(), operationNode("^", operationNode("cosh", u), numberNode(2)));
+        case "asinh":
+            return operationNode("/", du(), operationNode("sqrt", operationNode("+", operationNode("^", u, numberNode(2)), numberNode(1))));
+        case "acosh":
+            return operationNode("/", du(), operationNode("*",
+                operationNode("sqrt", operationNode("-", u, numberNode(1))),
+                operationNode("sqrt", operationNode("+", u, numberNode(1)))));
+        case "atanh":
+            return operationNode("/", du(), operationNode("-", numberNode(1), operationNode("^", u, numberNode(2))));
+    }
+
+    throw new ExpressionError(`Can't differentiate "${node.name}"`, node.column, node.line);
+}
+
+/**
+ * Get the greatest common divisor of two whole numbers.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function greatestCommonDivisor(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b !== 0) [a, b] = [b, a % b];
+    return a;
+}
+
+/**
+ * Check if a node is a real whole number, e.g. 3 but not 0.5 or 2i.
+ * @param {ExpressionNode} node
+ * @returns {boolean}
+ */
+function isIntegerNode(node) {
+    return node.type === "number" && node.value.im === 0 && Number.isSafeInteger(node.value.re);
+}
+
+/**
+ * Simplify an expression tree, by calculating operations on numbers and removing operations that do nothing, e.g. x * 1 or x + 0.
+ * Fractions of whole numbers are reduced, e.g. 3 / 9 is 1 / 3, and factors that cancel are removed, e.g. a / x * x is a.
+ * @param {ExpressionNode} node
+ * @param {Object} [constants] - The values of the names that are constants, e.g. {e: new Complex(Math.E)}, so that ln(e) is 1.
+ * @returns {ExpressionNode}
+ */
+function simplify(node, constants = {}) {
+    if (node.type !== "operation") return node;
+
+    let again = node => simplify(node, constants);
+
+    let args = node.args.map(again);
+    let [u, v] = args;
+    let numbers = args.every(arg => arg.type === "number");
+
+    // The node is a given operation
+    let is = (node, name) => node.type === "operation" && node.name === name;
+
+    // The base and exponent of a power with a number as exponent, where other nodes are powers of 1, e.g. x is x^1
+    let base = node => (is(node, "^") && node.args[1].type === "number") ? node.args[0] : node;
+    let exponent = node => (is(node, "^") && node.args[1].type === "number") ? node.args[1].value : new Complex(1);
+
+    // The term and coefficient of a product with a number first, where other nodes have the coefficient 1, e.g. x is 1 * x
+    let term = node => (is(node, "*") && node.args[0].type === "number") ? node.args[1] : node;
+    let coefficient = node => (is(node, "*") && node.args[0].type === "number") ? node.args[0].value : new Complex(1);
+
+    switch (node.name) {
+        case "+":
+            if (numbers) return numberNode(Complex.add(u.value, v.value));
+            if (isNumberNode(u, 0)) return v;
+            if (isNumberNode(v, 0)) return u;
+            if (is(v, "neg")) return again(operationNode("-", u, v.args[0]));
+            // Like terms are collected, e.g. 2 * x^2 + x^2 is 3 * x^2
+            if (sameNode(term(u), term(v))) return again(operationNode("*", numberNode(Complex.add(coefficient(u), coefficient(v))), term(u)));
+            break;
+        case "-":
+            if (numbers) return numberNode(Complex.subtract(u.value, v.value));
+            if (isNumberNode(v, 0)) return u;
+            if (isNumberNode(u, 0)) return again(operationNode("neg", v));
+            if (sameNode(u, v)) return numberNode(0);
+            if (is(v, "neg")) return again(operationNode("+", u, v.args[0]));
+            // Like terms are collected, e.g. x^2 - 2 * x^2 is -x^2
+            if (sameNode(term(u), term(v))) return again(operationNode("*", numberNode(Complex.subtract(coefficient(u), coefficient(v))), term(u)));
+            break;
+        case "neg":
+            if (numbers) return numberNode(Complex.negate(u.value));
+            if (is(u, "neg")) return u.args[0];
+            // A negative number is written in the numerator, e.g. -(1 / x) is -1 / x
+            if (is(u, "/") && u.args[0].type === "number") return again(operationNode("/", numberNode(Complex.negate(u.args[0].value)), u.args[1]));
+            break;
+        case "*":
+            if (numbers) return numberNode(Complex.multiply(u.value, v.value));
+            if (isNumberNode(u, 0) || isNumberNode(v, 0)) return numberNode(0);
+            if (isNumberNode(u, 1)) return v;
+            if (isNumberNode(v, 1)) return u;
+            if (isNumberNode(u, -1)) return again(operationNode("neg", v));
+            if (isNumberNode(v, -1)) return again(operationNode("neg", u));
+            // Numbers are written first, e.g. x * 2 is 2 * x
+            if (v.type === "number") return again(operationNode("*", v, u));
+            // 2 * (3 * x) is 6 * x, and x * (2 * y) is 2 * (x * y)
+            if (is(v, "*") && v.args[0].type === "number") {
+                if (u.type === "number") return again(operationNode("*", numberNode(Complex.multiply(u.value, v.args[0].value)), v.args[1]));
+                return again(operationNode("*", v.args[0], operationNode("*", u, v.args[1])));
+            }
+            // (2 * x) * y is 2 * (x * y)
+            if (is(u, "*") && u.args[0].type === "number") return again(operationNode("*", u.args[0], operationNode("*", u.args[1], v)));
+            // 2 * (3 / x) is 6 / x
+            if (u.type === "number" && is(v, "/") && v.args[0].type === "number") {
+                return again(operationNode("/", numberNode(Complex.multiply(u.value, v.args[0].value)), v.args[1]));
+            }
+            // Factors that cancel, e.g. a / x * x and x * (a / x)
+            if (is(u, "/") && sameNode(u.args[1], v)) return u.args[0];
+            if (is(v, "/") && sameNode(v.args[1], u)) return v.args[0];
+            // Powers of the same base are added, e.g. x * x is x^2 and x * x^2 is x^3
+            if (sameNode(base(u), base(v))) return again(operationNode("^", base(u), numberNode(Complex.add(exponent(u), exponent(v)))));
+            // Negations are moved out of products, e.g. -a * b is -(a * b)
+            if (is(u, "neg")) return again(operationNode("neg", operationNode("*", u.args[0], v)));
+            if (is(v, "neg")) return again(operationNode("neg", operationNode("*", u, v.args[0])));
+            break;
+        case "/":
+            if (isNumberNode(u, 0) && !isNumberNode(v, 0)) return numberNode(0);
+            if (isNumberNode(v, 1)) return u;
+            if (sameNode(u, v)) return numberNode(1);
+            // Fractions of whole numbers are reduced, so that e.g. 1/3 stays readable, and 6 / 3 is 2
+            if (isIntegerNode(u) && isIntegerNode(v) && v.value.re !== 0) {
+                let divisor = greatestCommonDivisor(u.value.re, v.value.re) * Math.sign(v.value.re);
+                if (divisor === v.value.re) return numberNode(u.value.re / divisor);
+                if (divisor !== 1) return operationNode("/", numberNode(u.value.re / divisor), numberNode(v.value.re / divisor));
+            }
+            // The whole numbers in front of the numerator and the denominator are reduced too, e.g. 6 * x / 9 is 2 * x / 3
+            if (is(u, "*") && isIntegerNode(u.args[0]) && isIntegerNode(v) && v.value.re !== 0) {
+                let divisor = greatestCommonDivisor(u.args[0].value.re, v.value.re);
+                if (divisor !== 1) return again(operationNode("/", operationNode("*", numberNode(u.args[0].value.re / divisor), u.args[1]), numberNode(v.value.re / divisor)));
+            }
+            if (isIntegerNode(u) && is(v, "*") && isIntegerNode(v.args[0]) && v.args[0].value.re !== 0) {
+                let divisor = greatestCommonDivisor(u.value.re, v.args[0].value.re);
+                if (divisor !== 1) return again(operationNode("/", numberNode(u.value.re / divisor), operationNode("*", numberNode(v.args[0].value.re / divisor), v.args[1])));
+            }
+            if (is(u, "*") && isIntegerNode(u.args[0]) && is(v, "*") && isIntegerNode(v.args[0]) && v.args[0].value.re !== 0) {
+                let divisor = greatestCommonDivisor(u.args[0].value.re, v.args[0].value.re);
+                if (divisor !== 1) {
+                    return again(operationNode("/",
+                        operationNode("*", numberNode(u.args[0].value.re / divisor), u.args[1]),
+                        operationNode("*", numberNode(v.args[0].value.re / divisor), v.args[1])));
+                }
+            }
+            // (a / b) / c is a / (b * c)
+            if (is(u, "/")) return again(operationNode("/", u.args[0], operationNode("*", u.args[1], v)));
+            if (is(u, "*") && sameNode(u.args[0], v)) return u.args[1];
+            // Powers of the same base cancel, e.g. a * x / x is a, x / x^3 is 1 / x^2 and a * x^5 / x^3 is a * x^2
+            {
+                let factor = is(u, "*") ? u.args[1] : u;
+                let coefficient = is(u, "*") ? u.args[0] : numberNode(1);
+                let difference = Complex.subtract(exponent(factor), exponent(v));
+                if (sameNode(base(factor), base(v)) && difference.im === 0 && Number.isInteger(difference.re)) {
+                    if (difference.re >= 0) return again(operationNode("*", coefficient, operationNode("^", base(v), numberNode(difference))));
+                    return again(operationNode("/", coefficient, operationNode("^", base(v), numberNode(-difference.re))));
+                }
+            }
+            if (is(u, "neg")) return again(operationNode("neg", operationNode("/", u.args[0], v)));
+            break;
+        case "^":
+            if (isNumberNode(v, 0)) return numberNode(1);
+            if (isNumberNode(v, 1)) return u;
+            // Only whole powers are calculated, so that e.g. 2^0.5 stays readable
+            if (numbers && u.value.im === 0 && v.value.im === 0 && Number.isInteger(v.value.re) && v.value.re > 0) {
+                return numberNode(Math.pow(u.value.re, v.value.re));
+            }
+            // (2 * x)^2 is 4 * x^2
+            if (is(u, "*") && u.args[0].type === "number" && isIntegerNode(v)) {
+                return again(operationNode("*", operationNode("^", u.args[0], v), operationNode("^", u.args[1], v)));
+            }
+            // (u^a)^b is u^(a*b) for whole numbers b
+            if (is(u, "^") && v.type === "number" && Number.isInteger(v.value.re) && v.value.im === 0) {
+                return again(operationNode("^", u.args[0], operationNode("*", u.args[1], v)));
+            }
+            break;
+        case "ln":
+            // ln(e) is 1
+            if (u.type === "name" && constants.hasOwnProperty(u.name) && constants[u.name].re === Math.E && constants[u.name].im === 0) {
+                return numberNode(1);
+            }
+            break;
+    }
+
+    return {...node, args: args};
+}
+
+/**
+ * Write a number so that it can be parsed again.
+ * @param {Complex} value
+ * @returns {string}
+ */
+function numberToText(value) {
+    let im = (Math.abs(value.im) === 1) ? "i" : `${Math.abs(value.im)}i`;
+    if (value.im === 0) return String(value.re);
+    if (value.re === 0) return (value.im < 0) ? `-${im}` : im;
+    return `${value.re} ${(value.im < 0) ? "-" : "+"} ${im}`;
+}
+
+/**
+ * Write an expression tree as infix text, with as few parentheses as possible.
+ * @param {ExpressionNode} node
+ * @returns {string}
+ * @example
+ * // returns "2 * x^2 + sin(x)"
+ * expressionToText(tree)
+ */
+function expressionToText(node) {
+    // How strongly the text of a node binds, as a value in textPrecedence (Infinity if it never needs parentheses)
+    function precedence(node) {
+        if (node.type === "number") {
+            if (node.value.im !== 0 && node.value.re !== 0) return textPrecedence["+"];
+            if (node.value.re < 0 || node.value.im < 0) return textPrecedence["neg"];
+            return Infinity;
+        }
+        if (node.type === "operation" && textPrecedence.hasOwnProperty(node.name)) return textPrecedence[node.name];
+        return Infinity;
+    }
+
+    // The text of an argument, in parentheses if it binds weaker than needed
+    function argument(node, needed) {
+        let text = expressionToText(node);
+        return (precedence(node) < needed) ? `(${text})` : text;
+    }
+
+    switch (node.type) {
+        case "number":
+            return numberToText(node.value);
+        case "name":
+        case "parameter":
+            return node.name;
+    }
+
+    let own = precedence(node);
+    let [u, v] = node.args;
+
+    switch (node.name) {
+        case "neg":
+            return `-${argument(u, own)}`;
+        case "^":
+            // ^ is right associative, e.g. (x^2)^3 needs parentheses but x^(2^3) doesn't
+            return `${argument(u, own + 1)}^${argument(v, own)}`;
+        case "+":
+        case "*":
+            return `${argument(u, own)} ${node.name} ${argument(v, own)}`;
+        case "-":
+        case "/":
+            // The right side needs parentheses at the same precedence, e.g. x - (y + z)
+            return `${argument(u, own)} ${node.name} ${argument(v, own + 1)}`;
+    }
+
+    return `${node.name}(${node.args.map(expressionToText).join(", ")})`;
+}
+
+/**
+ * Get the derivative of a function as simplified text.
+ * @param {CompiledFunction} func - The function, where the last result is differentiated. It needs at least one result.
+ * @returns {string} The derivative with respect to the input variable, e.g. "2 * x".
+ * @throws {ExpressionError} If the function can't be differentiated.
+ */
+function derivativeText(func) {
+    let node = expandNode(func.outputs[func.outputs.length - 1], func);
+
+    let constants = {};
+    func.variables.forEach(variable => {
+        if (variable.type === "constant") constants[variable.name] = variable.value;
+    });
+
+    return expressionToText(simplify(differentiate(node, func.inputName), constants));
+}